@@ -0,0 +1,76 @@
+import { SlashCommandBuilder, EmbedBuilder } from "discord.js";
+import { listSessions } from "../sessions/files.js";
+import { autocompleteSession } from "../sessions/autocomplete.js";
+import { answerQuestion } from "../transcription/qa.js";
+import { formatTimestamp } from "../transcription/utils/markers.js";
+
+export const data = new SlashCommandBuilder()
+  .setName("ask")
+  .setDescription("Fai una domanda sulla campagna: risposta dalle trascrizioni, con le fonti")
+  .addStringOption((option) =>
+    option
+      .setName("question")
+      .setDescription("Es. \"Cosa ha detto l'oste sull'amuleto?\"")
+      .setRequired(true)
+      .setMaxLength(300),
+  )
+  .addStringOption((option) =>
+    option
+      .setName("session")
+      .setDescription("Cerca solo in questa sessione")
+      .setRequired(false)
+      .setAutocomplete(true),
+  );
+
+export async function autocomplete(interaction) {
+  await autocompleteSession(interaction);
+}
+
+export async function execute(interaction) {
+  const question = interaction.options.getString("question");
+  const only = interaction.options.getString("session");
+
+  await interaction.deferReply();
+
+  const sessions = listSessions({ guildId: interaction.guildId }).filter(
+    (session) => !only || session.name === only,
+  );
+  if (sessions.length === 0) {
+    await interaction.editReply(
+      only
+        ? `❌ Sessione \`${only}\` non trovata.`
+        : "Nessuna sessione trovata. Usa `/start` per registrarne una.",
+    );
+    return;
+  }
+
+  let result;
+  try {
+    result = await answerQuestion(question, sessions);
+  } catch (error) {
+    console.error("[Ask] Error:", error.message);
+    await interaction.editReply(
+      `❌ Non sono riuscito a rispondere: ${error.message}. Controlla che il provider LLM sia raggiungibile.`,
+    );
+    return;
+  }
+
+  if (!result.answer) {
+    await interaction.editReply(
+      "🤷 Non ho trovato niente di rilevante nelle trascrizioni per questa domanda.",
+    );
+    return;
+  }
+
+  const sources = result.sources.map(
+    ({ ref, label, time, speakers }) =>
+      `[${ref}] ${label} · \`${formatTimestamp(time * 1000)}\` · ${speakers.join(", ")}`,
+  );
+
+  const embed = new EmbedBuilder()
+    .setTitle(`❓ ${question}`.slice(0, 256))
+    .setDescription(result.answer.slice(0, 4096))
+    .addFields({ name: "📚 Fonti", value: sources.join("\n").slice(0, 1024) });
+
+  await interaction.editReply({ embeds: [embed] });
+}
@@ -0,0 +1,89 @@
+import { SlashCommandBuilder } from "discord.js";
+import {
+  listProcessing,
+  cancelProcessing,
+  formatProgress,
+} from "../sessions/processing.js";
+import { JOB_STAGES, listJobs, cancelJob } from "../sessions/jobs.js";
+
+/** Discord accetta al massimo 25 suggerimenti. */
+const MAX_CHOICES = 25;
+
+export const data = new SlashCommandBuilder()
+  .setName("cancel")
+  .setDescription("Annulla l'elaborazione in corso di una sessione (job di /stop o /recover, /summary)")
+  .addStringOption((option) =>
+    option
+      .setName("session")
+      .setDescription("Sessione in elaborazione (default: la più recente)")
+      .setRequired(false)
+      .setAutocomplete(true),
+  );
+
+/**
+ * Elaborazioni annullabili nella guild, dalla più recente: job in coda, poi /summary in corso.
+ * @param {string} guildId
+ */
+function listCancellable(guildId) {
+  const jobs = listJobs({ guildId, active: true })
+    .filter((job) => !job.cancelled)
+    .map((job) => ({
+      sessionName: job.sessionName,
+      label: `job #${job.id} · ${
+        job.progress
+          ? formatProgress(job.progress)
+          : (JOB_STAGES.find((stage) => job.stages[stage]?.status === "running") ?? "queued")
+      }`,
+      cancel: (reason) => cancelJob(job.id, reason),
+    }));
+  const summaries = listProcessing(guildId).map((processing) => ({
+    sessionName: processing.sessionName,
+    label: `/summary · ${formatProgress(processing.progress)}`,
+    cancel: (reason) => cancelProcessing(processing.sessionName, reason),
+  }));
+  return [...jobs, ...summaries];
+}
+
+export async function autocomplete(interaction) {
+  const query = String(interaction.options.getFocused() ?? "").toLowerCase().trim();
+  const choices = listCancellable(interaction.guildId)
+    .filter((item) => !query || item.sessionName.toLowerCase().includes(query))
+    .map((item) => ({
+      name: `${item.sessionName} · ${item.label}`.slice(0, 100),
+      value: item.sessionName,
+    }))
+    .filter((choice) => choice.value.length <= 100)
+    .slice(0, MAX_CHOICES);
+
+  await interaction.respond(choices);
+}
+
+export async function execute(interaction) {
+  const items = listCancellable(interaction.guildId);
+  const sessionName = interaction.options.getString("session") ?? items[0]?.sessionName;
+  const item = items.find((i) => i.sessionName === sessionName);
+
+  if (!item) {
+    await interaction.reply({
+      content: sessionName
+        ? `❌ La sessione \`${sessionName}\` non è in elaborazione.`
+        : "❌ Nessuna elaborazione in corso in questo server.",
+      ephemeral: true,
+    });
+    return;
+  }
+
+  const reason = new Error(`Cancelled by ${interaction.user.username}`);
+  if (!item.cancel(reason)) {
+    await interaction.reply({
+      content: `⏳ L'elaborazione di \`${item.sessionName}\` è già in fase di annullamento.`,
+      ephemeral: true,
+    });
+    return;
+  }
+
+  // La trascrizione originale resta: il job la pubblica comunque, /summary si può ripetere
+  await interaction.reply(
+    `⏹️ Elaborazione di \`${item.sessionName}\` annullata (${item.label}).`,
+  );
+}
@@ -0,0 +1,84 @@
+import { SlashCommandBuilder } from "discord.js";
+import { getConsent, setConsent, isRecordingAllowed } from "../sessions/consent.js";
+import { buildRecordingMessage } from "../sessions/statusPanel.js";
+import config from "../config.js";
+
+export const data = new SlashCommandBuilder()
+  .setName("consent")
+  .setDescription("Acconsenti o rifiuta la registrazione della tua voce in questo server")
+  .addStringOption((option) =>
+    option
+      .setName("choice")
+      .setDescription("Registrarti durante le sessioni?")
+      .setRequired(true)
+      .addChoices(
+        { name: "Sì, registrami", value: "in" },
+        { name: "No, non registrarmi", value: "out" },
+        { name: "Mostra la mia scelta attuale", value: "status" },
+      ),
+  );
+
+function describe(guildId, userId) {
+  const consent = getConsent(guildId, userId);
+  const allowed = isRecordingAllowed(guildId, userId);
+  if (consent === "in") return "✅ Hai acconsentito: la tua voce viene registrata.";
+  if (consent === "out") return "🚫 Hai rifiutato: la tua voce non viene registrata.";
+  return allowed
+    ? "✅ Nessuna scelta: in questo server chi non rifiuta viene registrato."
+    : "🚫 Nessuna scelta: non vieni registrato finché non acconsenti.";
+}
+
+/**
+ * Salva la scelta e, se c'è una registrazione in corso, smette subito di registrare chi rifiuta.
+ */
+async function applyConsent(interaction, client, choice) {
+  await setConsent(interaction.guildId, interaction.user.id, choice);
+  console.log(`[Consent] ${interaction.user.id} -> ${choice} (guild ${interaction.guildId})`);
+
+  const session = client.recordingSessions.get(interaction.guildId);
+  if (choice === "out" && session?.recording) {
+    session.recorder.closeUserStream(interaction.user.id);
+  }
+  return session;
+}
+
+export async function execute(interaction, client) {
+  const choice = interaction.options.getString("choice", true);
+
+  if (choice !== "status") {
+    await applyConsent(interaction, client, choice);
+  }
+
+  const modeNote =
+    config.recording.consentMode === "opt-in"
+      ? "Modalità del server: si registra solo chi acconsente."
+      : "Modalità del server: si registrano tutti tranne chi rifiuta.";
+
+  await interaction.reply({
+    content: `${describe(interaction.guildId, interaction.user.id)}\n${modeNote}`,
+    ephemeral: true,
+  });
+}
+
+/** Bottoni del pannello di /start: "consent:in" / "consent:out". */
+export async function handleButton(interaction, client) {
+  const [, choice] = interaction.customId.split(":");
+  if (choice !== "in" && choice !== "out") return;
+
+  const session = await applyConsent(interaction, client, choice);
+
+  // Aggiorna l'elenco registrati / non registrati sul pannello della sessione in corso
+  if (session?.recording && interaction.message?.id === session.statusPanel?.message.id) {
+    await interaction.update(buildRecordingMessage(session));
+    await interaction.followUp({
+      content: describe(interaction.guildId, interaction.user.id),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  await interaction.reply({
+    content: describe(interaction.guildId, interaction.user.id),
+    ephemeral: true,
+  });
+}
@@ -0,0 +1,114 @@
+import { SlashCommandBuilder, AttachmentBuilder } from "discord.js";
+import { randomUUID } from "crypto";
+import { existsSync, rmSync } from "fs";
+import { basename, join } from "path";
+import config from "../config.js";
+import { exportSession } from "../transcription/exporter.js";
+import { findSessionArtifact, listSessions } from "../sessions/files.js";
+import { prepareForUpload, groupForMessages } from "../sessions/upload.js";
+import { autocompleteSession } from "../sessions/autocomplete.js";
+
+/** Formato → artefatto della sessione (vedi sessions/files.js). */
+const FORMATS = {
+  txt: { kind: "txt", label: "trascrizione originale" },
+  revised: { kind: "revised", label: "trascrizione rivista" },
+  summary: { kind: "summary", label: "riassunto" },
+  srt: { kind: "srt", label: "sottotitoli SRT" },
+  json: { kind: "json", label: "export JSON" },
+  audio: { kind: "audio", label: "audio misto" },
+};
+
+export const data = new SlashCommandBuilder()
+  .setName("export")
+  .setDescription("Scarica i file di una sessione passata")
+  .addStringOption((option) =>
+    option
+      .setName("session")
+      .setDescription("Nome sessione (es. session_2026-02-24T01-28-10-478Z)")
+      .setRequired(true)
+      .setAutocomplete(true),
+  )
+  .addStringOption((option) =>
+    option
+      .setName("format")
+      .setDescription("Quale file scaricare")
+      .setRequired(true)
+      .addChoices(
+        { name: "Trascrizione originale (txt)", value: "txt" },
+        { name: "Trascrizione rivista", value: "revised" },
+        { name: "Riassunto", value: "summary" },
+        { name: "Sottotitoli (srt)", value: "srt" },
+        { name: "JSON", value: "json" },
+        { name: "Audio", value: "audio" },
+      ),
+  );
+
+export async function autocomplete(interaction) {
+  await autocompleteSession(interaction);
+}
+
+export async function execute(interaction) {
+  const sessionName = interaction.options.getString("session");
+  const format = interaction.options.getString("format");
+  const { kind, label } = FORMATS[format];
+
+  // Solo le sessioni di questa guild: il nome finisce nei path dei file
+  if (!listSessions({ guildId: interaction.guildId }).some((s) => s.name === sessionName)) {
+    await interaction.reply({
+      content: `❌ Sessione \`${sessionName}\` non trovata.`,
+      ephemeral: true,
+    });
+    return;
+  }
+
+  await interaction.deferReply();
+
+  let filePath = findSessionArtifact(sessionName, kind);
+
+  // SRT/JSON si possono rigenerare dalla trascrizione
+  if (!filePath && (kind === "srt" || kind === "json")) {
+    const exportPaths = await exportSession(sessionName).catch((err) => {
+      console.warn("[Export] Regeneration failed:", err.message);
+      return null;
+    });
+    filePath = exportPaths?.[kind] ?? null;
+  }
+
+  if (!filePath) {
+    await interaction.editReply({
+      content: `❌ Nessun file \`${format}\` (${label}) trovato per la sessione \`${sessionName}\`.`,
+    });
+    return;
+  }
+
+  const tmpDir = join(config.paths.root, "tmp", `export_${randomUUID()}`);
+  try {
+    const uploadPaths = await prepareForUpload(filePath, tmpDir);
+    const groups = await groupForMessages(uploadPaths);
+    const note =
+      uploadPaths.length > 1
+        ? ` (diviso in ${uploadPaths.length} parti)`
+        : uploadPaths[0] !== filePath
+          ? " (compresso)"
+          : "";
+
+    for (let i = 0; i < groups.length; i++) {
+      const files = groups[i].map(
+        (p) => new AttachmentBuilder(p, { name: basename(p) }),
+      );
+      if (i === 0) {
+        await interaction.editReply({
+          content: `📦 **${label}** – \`${sessionName}\`${note}`,
+          files,
+        });
+      } else {
+        await interaction.followUp({ files });
+      }
+    }
+  } catch (error) {
+    console.error("[Export] Error:", error);
+    await interaction.editReply("⚠️ Errore durante l'export del file.");
+  } finally {
+    if (existsSync(tmpDir)) rmSync(tmpDir, { recursive: true });
+  }
+}
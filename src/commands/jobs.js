@@ -0,0 +1,153 @@
+import {
+  SlashCommandBuilder,
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+} from "discord.js";
+import { autocompleteSession } from "../sessions/autocomplete.js";
+import {
+  listJobs,
+  getJob,
+  getRetryStage,
+  retryJob,
+  cancelJob,
+  findActiveJob,
+  formatJobStatus,
+} from "../sessions/jobs.js";
+
+/** Job mostrati: uno per field, con al massimo una riga di bottoni ciascuno (Discord ne accetta 5). */
+const MAX_JOBS = 5;
+
+const STATUS_LABELS = {
+  queued: "🕒 in coda",
+  running: "⏳ in corso",
+  done: "✅ completato",
+  failed: "❌ fallito",
+  cancelled: "⏹️ annullato",
+};
+
+export const data = new SlashCommandBuilder()
+  .setName("jobs")
+  .setDescription("Elaborazioni recenti delle sessioni (fasi, errori) con Riprova / Annulla")
+  .addStringOption((option) =>
+    option
+      .setName("session")
+      .setDescription("Solo i job di questa sessione")
+      .setRequired(false)
+      .setAutocomplete(true),
+  );
+
+export async function autocomplete(interaction) {
+  await autocompleteSession(interaction);
+}
+
+/** Bottoni di un job: Riprova se concluso con fasi fallite o saltate, Annulla se attivo. */
+function buildJobRow(job) {
+  const buttons = [];
+  const retryStage = getRetryStage(job);
+  if (retryStage) {
+    buttons.push(
+      new ButtonBuilder()
+        .setCustomId(`jobs:retry:${job.id}`)
+        .setLabel(`🔁 Riprova #${job.id} da ${retryStage}`)
+        .setStyle(ButtonStyle.Primary),
+    );
+  }
+  if ((job.status === "queued" || job.status === "running") && !job.cancelled) {
+    buttons.push(
+      new ButtonBuilder()
+        .setCustomId(`jobs:cancel:${job.id}`)
+        .setLabel(`⏹️ Annulla #${job.id}`)
+        .setStyle(ButtonStyle.Danger),
+    );
+  }
+  return buttons.length ? new ActionRowBuilder().addComponents(buttons) : null;
+}
+
+/**
+ * Embed + bottoni dei job più recenti.
+ * @param {string} guildId
+ * @param {string | null} sessionName
+ */
+function buildJobList(guildId, sessionName) {
+  const jobs = listJobs({ guildId, sessionName: sessionName ?? undefined });
+  const shown = jobs.slice(0, MAX_JOBS);
+
+  const embed = new EmbedBuilder()
+    .setTitle(sessionName ? `⚙️ Elaborazioni di ${sessionName}`.slice(0, 256) : "⚙️ Elaborazioni recenti")
+    .setFooter({ text: `${shown.length} di ${jobs.length} job` });
+
+  if (jobs.length === 0) {
+    embed.setDescription("Nessuna elaborazione trovata. I job nascono con `/stop`, `/recover` o `/reprocess`.");
+  }
+
+  for (const job of shown) {
+    const started = new Date(job.createdAt).toLocaleString("it-IT", {
+      day: "2-digit",
+      month: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+    embed.addFields({
+      name: `#${job.id} · ${job.sessionName}`.slice(0, 256),
+      value: `${STATUS_LABELS[job.status]} · avviato ${started}\n${formatJobStatus(job)}`.slice(0, 1024),
+    });
+  }
+
+  return { embeds: [embed], components: shown.map(buildJobRow).filter(Boolean) };
+}
+
+export async function execute(interaction) {
+  await interaction.reply(
+    buildJobList(interaction.guildId, interaction.options.getString("session")),
+  );
+}
+
+/** Bottoni: "jobs:retry:<id>" e "jobs:cancel:<id>". */
+export async function handleButton(interaction) {
+  const [, action, id] = interaction.customId.split(":");
+  const job = getJob(id);
+  if (!job) {
+    await interaction.reply({ content: `❌ Il job \`#${id}\` non esiste più.`, ephemeral: true });
+    return;
+  }
+
+  if (action === "cancel") {
+    if (!cancelJob(job.id, new Error(`Cancelled by ${interaction.user.username}`))) {
+      await interaction.reply({
+        content: `Il job \`#${job.id}\` è già concluso o in fase di annullamento.`,
+        ephemeral: true,
+      });
+      return;
+    }
+    await interaction.reply(`⏹️ Job \`#${job.id}\` di \`${job.sessionName}\` annullato.`);
+    return;
+  }
+  if (action !== "retry") return;
+
+  const retryStage = getRetryStage(job);
+  const active = findActiveJob(job.sessionName);
+  if (!retryStage || active) {
+    await interaction.reply({
+      content: active
+        ? `⏳ La sessione \`${job.sessionName}\` è già in elaborazione (job \`#${active.id}\`).`
+        : `Il job \`#${job.id}\` non ha fasi da ripetere.`,
+      ephemeral: true,
+    });
+    return;
+  }
+
+  // Questo messaggio diventa il messaggio di stato del job (vedi formatJobMessage in pipeline.js)
+  const reply = await interaction.reply({
+    content: `🔁 Job \`#${job.id}\` di \`${job.sessionName}\`: nuovo tentativo da ${retryStage}...`,
+    fetchReply: true,
+  });
+  const retried = await retryJob(job.id, {
+    channelId: interaction.channelId,
+    messageId: reply.id,
+  });
+  if (!retried) {
+    await reply.edit(`❌ Non è stato possibile rimettere in coda il job \`#${job.id}\`.`);
+  }
+}
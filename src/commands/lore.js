@@ -0,0 +1,94 @@
+import { SlashCommandBuilder, EmbedBuilder } from "discord.js";
+import { listSessions, formatSessionLabel } from "../sessions/files.js";
+import { findLoreEntity, listLoreEntities } from "../sessions/lore.js";
+import { entityKey } from "../transcription/entities.js";
+import { formatTimestamp } from "../transcription/utils/markers.js";
+
+/** Discord accetta al massimo 25 suggerimenti. */
+const MAX_CHOICES = 25;
+
+const TYPE_LABELS = {
+  npc: "🧙 NPC",
+  place: "🗺️ Luogo",
+  item: "💎 Oggetto",
+  faction: "🛡️ Fazione",
+};
+
+export const data = new SlashCommandBuilder()
+  .setName("lore")
+  .setDescription("Cosa sa la campagna di un NPC, luogo, oggetto o fazione")
+  .addStringOption((option) =>
+    option
+      .setName("name")
+      .setDescription("Nome o alias dell'entità")
+      .setRequired(true)
+      .setAutocomplete(true),
+  );
+
+export async function autocomplete(interaction) {
+  const query = entityKey(String(interaction.options.getFocused() ?? ""));
+  const choices = listLoreEntities(interaction.guildId)
+    .filter(
+      (entity) =>
+        !query ||
+        [entity.name, ...entity.aliases].some((name) => entityKey(name).includes(query)),
+    )
+    .map((entity) => ({
+      name: `${entity.name} (${TYPE_LABELS[entity.type] ?? entity.type})`.slice(0, 100),
+      value: entity.id,
+    }))
+    .slice(0, MAX_CHOICES);
+
+  await interaction.respond(choices);
+}
+
+export async function execute(interaction) {
+  const name = interaction.options.getString("name");
+  const entity = findLoreEntity(interaction.guildId, name);
+
+  if (!entity) {
+    await interaction.reply({
+      content: `❌ Niente su \`${name}\` nella campagna. Le entità si aggiungono a fine \`/stop\` (o con \`/summary\` per le sessioni passate).`,
+      ephemeral: true,
+    });
+    return;
+  }
+
+  // Menzioni dalla sessione più vecchia alla più recente
+  const sessions = new Map(
+    listSessions({ guildId: interaction.guildId }).map((session) => [session.name, session]),
+  );
+  const mentions = entity.mentions
+    .map((mention) => ({ ...mention, session: sessions.get(mention.sessionName) }))
+    .sort((a, b) => (a.session?.date ?? 0) - (b.session?.date ?? 0));
+
+  const label = (mention) =>
+    mention.session ? formatSessionLabel(mention.session) : mention.sessionName;
+  const time = (mention) =>
+    mention.firstMention != null ? ` · \`${formatTimestamp(mention.firstMention * 1000)}\`` : "";
+
+  const description = mentions
+    .map(
+      (mention) =>
+        `**${label(mention)}**${time(mention)}\n${mention.description || "_Nessuna descrizione._"}`,
+    )
+    .join("\n\n");
+
+  const embed = new EmbedBuilder()
+    .setTitle(entity.name.slice(0, 256))
+    .setDescription(description.slice(0, 4096))
+    .addFields({ name: "Tipo", value: TYPE_LABELS[entity.type] ?? entity.type, inline: true })
+    .setFooter({
+      text: `Prima apparizione: ${label(mentions[0])}${mentions[0].firstMention != null ? ` · ${formatTimestamp(mentions[0].firstMention * 1000)}` : ""}`,
+    });
+
+  if (entity.aliases.length) {
+    embed.addFields({
+      name: "Alias",
+      value: entity.aliases.join(", ").slice(0, 1024),
+      inline: true,
+    });
+  }
+
+  await interaction.reply({ embeds: [embed] });
+}
@@ -0,0 +1,89 @@
+import {
+  ActionRowBuilder,
+  ModalBuilder,
+  SlashCommandBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+} from "discord.js";
+import { formatTimestamp } from "../transcription/utils/markers.js";
+
+const NOTE_MAX_LENGTH = 200;
+
+export const data = new SlashCommandBuilder()
+  .setName("mark")
+  .setDescription("Segna il momento attuale della registrazione (segnalibro con nota)")
+  .addStringOption((option) =>
+    option
+      .setName("note")
+      .setDescription("Cosa è successo (es. \"il cattivo rivela il suo nome\")")
+      .setRequired(false)
+      .setMaxLength(NOTE_MAX_LENGTH),
+  );
+
+/**
+ * Modal con la nota del segnalibro, aperto dal bottone Bookmark del pannello (submit: "mark:note").
+ * @returns {ModalBuilder}
+ */
+export function buildMarkModal() {
+  return new ModalBuilder()
+    .setCustomId("mark:note")
+    .setTitle("🔖 Segnalibro")
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId("note")
+          .setLabel("Nota (facoltativa)")
+          .setStyle(TextInputStyle.Short)
+          .setRequired(false)
+          .setMaxLength(NOTE_MAX_LENGTH),
+      ),
+    );
+}
+
+/**
+ * Salva il segnalibro nella sessione e aggiorna il pannello.
+ * @returns {string} testo di conferma "🔖 [MM:SS] Autore: nota"
+ */
+function addMark(session, interaction, note) {
+  const bookmark = session.recorder.addBookmark({
+    userId: interaction.user.id,
+    userName: interaction.member?.displayName ?? interaction.user.username,
+    note: note?.trim() || null,
+  });
+  session.statusPanel?.refresh();
+
+  const timestamp = formatTimestamp(bookmark.time);
+  return `🔖 **${timestamp}** ${bookmark.userName}${bookmark.note ? `: ${bookmark.note}` : ""}`;
+}
+
+export async function execute(interaction, client) {
+  const session = client.recordingSessions.get(interaction.guildId);
+
+  if (!session?.recording) {
+    return interaction.reply({
+      content: "Not currently recording. Use `/start` to begin.",
+      ephemeral: true,
+    });
+  }
+
+  // Pubblico: il tavolo vede cosa è stato segnato
+  await interaction.reply({ content: addMark(session, interaction, interaction.options.getString("note")) });
+}
+
+/**
+ * Submit del modal "mark:note" (bottone Bookmark del pannello).
+ */
+export async function handleModal(interaction, client) {
+  const session = client.recordingSessions.get(interaction.guildId);
+
+  if (!session?.recording) {
+    return interaction.reply({
+      content: "La registrazione è terminata: segnalibro non salvato.",
+      ephemeral: true,
+    });
+  }
+
+  await interaction.reply({
+    content: addMark(session, interaction, interaction.fields.getTextInputValue("note")),
+  });
+}
@@ -0,0 +1,31 @@
+import { SlashCommandBuilder } from 'discord.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('pause')
+  .setDescription('Pause the recording (the bot stays in the voice channel)');
+
+export async function execute(interaction, client) {
+  const session = client.recordingSessions.get(interaction.guildId);
+
+  if (!session?.recording) {
+    return interaction.reply({
+      content: 'Not currently recording. Use `/start` to begin.',
+      ephemeral: true,
+    });
+  }
+
+  if (!session.recorder.pause()) {
+    return interaction.reply({
+      content: 'Recording is already paused. Use `/resume` to continue.',
+      ephemeral: true,
+    });
+  }
+
+  session.statusPanel?.refresh();
+
+  await interaction.reply({
+    content: `⏸️ **Recording paused**\n` +
+      `Session: \`${session.sessionName}\`\n\n` +
+      `Nothing is recorded until \`/resume\`. The pause will be marked in the transcript.`,
+  });
+}
@@ -0,0 +1,63 @@
+import { SlashCommandBuilder } from "discord.js";
+import {
+  findUnfinishedSessions,
+  getActiveSessionNames,
+  buildRecoveryPrompt,
+  discardRecoveredSession,
+} from "../sessions/recovery.js";
+import { enqueueRecording } from "../sessions/pipeline.js";
+
+export const data = new SlashCommandBuilder()
+  .setName("recover")
+  .setDescription("Recupera le registrazioni interrotte da un crash o riavvio del bot");
+
+export async function execute(interaction, client) {
+  const sessions = findUnfinishedSessions({
+    guildId: interaction.guildId,
+    exclude: getActiveSessionNames(client),
+  });
+
+  if (sessions.length === 0) {
+    return interaction.reply({
+      content: "Nessuna registrazione interrotta da recuperare.",
+      ephemeral: true,
+    });
+  }
+
+  await interaction.reply(buildRecoveryPrompt(sessions));
+}
+
+/** Bottoni: "recover:finalize:<sessione>" e "recover:discard:<sessione>". */
+export async function handleButton(interaction, client) {
+  const [, action, ...rest] = interaction.customId.split(":");
+  const sessionName = rest.join(":");
+
+  const pending = findUnfinishedSessions({
+    guildId: interaction.guildId,
+    exclude: getActiveSessionNames(client),
+  });
+  if (!pending.some((s) => s.sessionName === sessionName)) {
+    return interaction.reply({
+      content: `La sessione \`${sessionName}\` non è più da recuperare.`,
+      ephemeral: true,
+    });
+  }
+
+  if (action === "discard") {
+    await discardRecoveredSession(sessionName);
+    await interaction.reply({ content: `🗑️ Registrazione \`${sessionName}\` scartata.` });
+    return;
+  }
+  if (action !== "finalize") return;
+
+  // Il job decodifica lo spool e aggiorna questo messaggio a ogni fase (vedi formatJobMessage)
+  const reply = await interaction.reply({
+    content: `🔄 Recupero di \`${sessionName}\`: in coda per salvataggio audio e trascrizione...`,
+    fetchReply: true,
+  });
+  await enqueueRecording(sessionName, {
+    guildId: interaction.guildId,
+    channelId: interaction.channelId,
+    messageId: reply.id,
+  });
+}
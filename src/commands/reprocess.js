@@ -0,0 +1,130 @@
+import { SlashCommandBuilder } from "discord.js";
+import { autocompleteSession } from "../sessions/autocomplete.js";
+import { listSessions } from "../sessions/files.js";
+import { enqueueReprocess } from "../sessions/pipeline.js";
+import { findActiveJob } from "../sessions/jobs.js";
+import { listProcessing } from "../sessions/processing.js";
+import { getActiveSessionNames } from "../sessions/recovery.js";
+import { listWhisperModels } from "../transcription/whisper.js";
+
+/** Discord accetta al massimo 25 suggerimenti. */
+const MAX_CHOICES = 25;
+
+/** Codice lingua di whisper.cpp ("it", "en", ...) o "auto" per il rilevamento automatico. */
+const RE_LANGUAGE = /^([a-z]{2,3}|auto)$/;
+
+export const data = new SlashCommandBuilder()
+  .setName("reprocess")
+  .setDescription("Rielabora una sessione registrata (trascrizione, revisione, riassunto) con altri modelli")
+  .addStringOption((option) =>
+    option
+      .setName("session")
+      .setDescription("Sessione da rielaborare")
+      .setRequired(true)
+      .setAutocomplete(true),
+  )
+  .addStringOption((option) =>
+    option
+      .setName("stages")
+      .setDescription("Da quale fase ripartire (le successive vengono rifatte)")
+      .setRequired(true)
+      .addChoices(
+        { name: "transcribe → revise → summarize", value: "transcribe" },
+        { name: "revise → summarize", value: "revise" },
+        { name: "summarize", value: "summarize" },
+      ),
+  )
+  .addStringOption((option) =>
+    option
+      .setName("whisper_model")
+      .setDescription("Modello Whisper per questa volta (default WHISPER_MODEL)")
+      .setRequired(false)
+      .setAutocomplete(true),
+  )
+  .addStringOption((option) =>
+    option
+      .setName("language")
+      .setDescription("Lingua per Whisper: it, en, ... o auto (default WHISPER_LANGUAGE)")
+      .setRequired(false)
+      .setMaxLength(4),
+  )
+  .addStringOption((option) =>
+    option
+      .setName("llm_model")
+      .setDescription("Modello del provider LLM per revisione e riassunto (default quello configurato)")
+      .setRequired(false)
+      .setMaxLength(100),
+  );
+
+export async function autocomplete(interaction) {
+  const focused = interaction.options.getFocused(true);
+  if (focused.name !== "whisper_model") {
+    await autocompleteSession(interaction);
+    return;
+  }
+  const query = String(focused.value ?? "").toLowerCase().trim();
+  await interaction.respond(
+    listWhisperModels()
+      .filter((model) => !query || model.toLowerCase().includes(query))
+      .map((model) => ({ name: model, value: model }))
+      .slice(0, MAX_CHOICES),
+  );
+}
+
+export async function execute(interaction, client) {
+  const sessionName = interaction.options.getString("session");
+  const from = interaction.options.getString("stages");
+  const whisperModel = interaction.options.getString("whisper_model") ?? undefined;
+  const language = interaction.options.getString("language")?.toLowerCase().trim() || undefined;
+  const llmModel = interaction.options.getString("llm_model")?.trim() || undefined;
+
+  const refuse = (content) => interaction.reply({ content, ephemeral: true });
+
+  if ((whisperModel || language) && from !== "transcribe") {
+    return refuse("❌ `whisper_model` e `language` valgono solo ripartendo da `transcribe`.");
+  }
+  if (whisperModel && !listWhisperModels().includes(whisperModel)) {
+    const installed = listWhisperModels();
+    return refuse(
+      `❌ Modello Whisper \`${whisperModel}\` non installato.` +
+        (installed.length ? ` Disponibili: ${installed.map((m) => `\`${m}\``).join(", ")}.` : ""),
+    );
+  }
+  if (language && !RE_LANGUAGE.test(language)) {
+    return refuse(`❌ Lingua \`${language}\` non valida: usa un codice come \`it\` o \`en\`, oppure \`auto\`.`);
+  }
+  // Solo le sessioni di questa guild (stesso filtro dell'autocomplete)
+  if (!listSessions({ guildId: interaction.guildId }).some((s) => s.name === sessionName)) {
+    return refuse(`❌ Sessione \`${sessionName}\` non trovata.`);
+  }
+  if (getActiveSessionNames(client).includes(sessionName)) {
+    return refuse(`❌ La sessione \`${sessionName}\` è ancora in registrazione.`);
+  }
+  const job = findActiveJob(sessionName);
+  if (job || listProcessing().some((p) => p.sessionName === sessionName)) {
+    return refuse(
+      `⏳ La sessione \`${sessionName}\` è già in elaborazione` +
+        (job ? ` (job \`#${job.id}\`).` : " (/summary)."),
+    );
+  }
+
+  await interaction.deferReply();
+  // Il job aggiorna questo messaggio a ogni fase (vedi formatJobMessage)
+  const reply = await interaction.editReply(
+    `🔁 Rielaborazione di \`${sessionName}\` da ${from}: in coda...`,
+  );
+  try {
+    await enqueueReprocess(sessionName, {
+      from,
+      whisperModel,
+      language,
+      llmModel,
+      guildId: interaction.guildId,
+      channelId: interaction.channelId,
+      messageId: reply.id,
+    });
+  } catch (error) {
+    console.error(`[Reprocess] ${sessionName}:`, error.message);
+    await interaction.editReply(`❌ Impossibile rielaborare \`${sessionName}\`: ${error.message}`);
+  }
+}
@@ -0,0 +1,33 @@
+import { SlashCommandBuilder } from 'discord.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('resume')
+  .setDescription('Resume a paused recording');
+
+export async function execute(interaction, client) {
+  const session = client.recordingSessions.get(interaction.guildId);
+
+  if (!session?.recording) {
+    return interaction.reply({
+      content: 'Not currently recording. Use `/start` to begin.',
+      ephemeral: true,
+    });
+  }
+
+  if (!session.recorder.resume()) {
+    return interaction.reply({
+      content: 'Recording is not paused.',
+      ephemeral: true,
+    });
+  }
+
+  const pause = session.recorder.getPauses().at(-1);
+  const minutes = Math.round((pause.end - pause.start) / 60000);
+
+  session.statusPanel?.refresh();
+
+  await interaction.reply({
+    content: `🔴 **Recording resumed** after ${minutes} min\n` +
+      `Session: \`${session.sessionName}\``,
+  });
+}
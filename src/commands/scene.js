@@ -0,0 +1,47 @@
+import { SlashCommandBuilder } from "discord.js";
+import { formatTimestamp } from "../transcription/utils/markers.js";
+
+export const data = new SlashCommandBuilder()
+  .setName("scene")
+  .setDescription("Chiude la scena corrente e ne apre una nuova (il riassunto sarà diviso per scene)")
+  .addStringOption((option) =>
+    option
+      .setName("name")
+      .setDescription("Titolo della nuova scena (es. \"La locanda del Drago Verde\")")
+      .setRequired(true)
+      .setMaxLength(100),
+  );
+
+export async function execute(interaction, client) {
+  const session = client.recordingSessions.get(interaction.guildId);
+
+  if (!session?.recording) {
+    return interaction.reply({
+      content: "Not currently recording. Use `/start` to begin.",
+      ephemeral: true,
+    });
+  }
+
+  // Le scene strutturano il riassunto di tutto il tavolo: solo il master
+  if (interaction.user.id !== session.masterUserId) {
+    return interaction.reply({
+      content: "Solo il master (chi ha usato `/start`) può cambiare scena.",
+      ephemeral: true,
+    });
+  }
+
+  const previous = session.recorder.getScenes().at(-1);
+  const scene = session.recorder.addScene({
+    title: interaction.options.getString("name").trim(),
+    userId: interaction.user.id,
+    userName: interaction.member?.displayName ?? interaction.user.username,
+  });
+  session.statusPanel?.refresh();
+
+  const timestamp = formatTimestamp(scene.start);
+  await interaction.reply({
+    content:
+      `🎬 **${timestamp}** · Nuova scena: **${scene.title}**` +
+      (previous ? `\nChiusa: ${previous.title}` : ""),
+  });
+}
@@ -0,0 +1,97 @@
+import { SlashCommandBuilder, EmbedBuilder } from "discord.js";
+import { listSessions, formatSessionLabel } from "../sessions/files.js";
+import { autocompleteSession } from "../sessions/autocomplete.js";
+import { searchSessions } from "../transcription/searchIndex.js";
+import { formatTimestamp } from "../transcription/utils/markers.js";
+
+/** Risultati mostrati (un field dell'embed ciascuno). */
+const MAX_RESULTS = 5;
+/** Righe del passaggio mostrate per risultato. */
+const MAX_LINES = 4;
+
+export const data = new SlashCommandBuilder()
+  .setName("search")
+  .setDescription("Cerca per significato nelle trascrizioni delle sessioni passate")
+  .addStringOption((option) =>
+    option
+      .setName("query")
+      .setDescription("Cosa cerchi (es. \"l'oste parla dell'amuleto\")")
+      .setRequired(true)
+      .setMaxLength(300),
+  )
+  .addStringOption((option) =>
+    option
+      .setName("session")
+      .setDescription("Cerca solo in questa sessione")
+      .setRequired(false)
+      .setAutocomplete(true),
+  );
+
+export async function autocomplete(interaction) {
+  await autocompleteSession(interaction);
+}
+
+export async function execute(interaction) {
+  const query = interaction.options.getString("query");
+  const only = interaction.options.getString("session");
+
+  await interaction.deferReply();
+
+  const sessions = listSessions({ guildId: interaction.guildId }).filter(
+    (session) => !only || session.name === only,
+  );
+  if (sessions.length === 0) {
+    await interaction.editReply(
+      only
+        ? `❌ Sessione \`${only}\` non trovata.`
+        : "Nessuna sessione trovata. Usa `/start` per registrarne una.",
+    );
+    return;
+  }
+
+  let search;
+  try {
+    search = await searchSessions(
+      query,
+      sessions.map((session) => session.name),
+      { limit: MAX_RESULTS },
+    );
+  } catch (error) {
+    console.error("[Search] Error:", error.message);
+    await interaction.editReply(
+      `❌ Ricerca non disponibile: ${error.message}. Controlla che il provider degli embedding sia attivo e il modello scaricato.`,
+    );
+    return;
+  }
+
+  if (search.indexedCount === 0) {
+    await interaction.editReply(
+      "Nessuna sessione indicizzata: l'indice si crea a fine `/stop` (o con `/summary` per le sessioni passate).",
+    );
+    return;
+  }
+
+  const labels = new Map(sessions.map((session) => [session.name, formatSessionLabel(session)]));
+  const embed = new EmbedBuilder()
+    .setTitle(`🔎 ${query}`.slice(0, 256))
+    .setFooter({
+      text: `${search.indexedCount}/${sessions.length} sessioni indicizzate`,
+    });
+
+  if (search.results.length === 0) {
+    embed.setDescription("Nessun risultato.");
+  }
+
+  for (const result of search.results) {
+    const lines = result.lines
+      .slice(0, MAX_LINES)
+      .map((line) => `\`[${formatTimestamp(line.time * 1000)}]\` **${line.speaker}**: ${line.text}`);
+    if (result.lines.length > MAX_LINES) lines.push("…");
+    embed.addFields({
+      name: `${labels.get(result.sessionName)} · ${formatTimestamp(result.start * 1000)} · ${Math.round(result.score * 100)}%`.slice(0, 256),
+      value: lines.join("\n").slice(0, 1024),
+    });
+  }
+
+  await interaction.editReply({ embeds: [embed] });
+}
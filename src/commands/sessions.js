@@ -0,0 +1,104 @@
+import {
+  SlashCommandBuilder,
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+} from "discord.js";
+import {
+  listSessions,
+  getSessionOverview,
+  formatSessionLabel,
+} from "../sessions/files.js";
+
+/** Sessioni per pagina (un field dell'embed ciascuna). */
+const PAGE_SIZE = 5;
+
+export const data = new SlashCommandBuilder()
+  .setName("sessions")
+  .setDescription("Elenca le sessioni registrate in questo server");
+
+/** Durata leggibile: 1h 05m, 12m 30s. */
+function formatDuration(seconds) {
+  if (seconds == null) return "—";
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds % 60;
+  return h > 0
+    ? `${h}h ${String(m).padStart(2, "0")}m`
+    : `${m}m ${String(s).padStart(2, "0")}s`;
+}
+
+function formatArtifacts({ audio, txt, revised, summary }) {
+  const mark = (ok, label) => `${ok ? "✅" : "▫️"} ${label}`;
+  return [
+    mark(audio, "audio"),
+    mark(txt, "originale"),
+    mark(revised, "rivista"),
+    mark(summary, "riassunto"),
+  ].join(" · ");
+}
+
+/**
+ * Embed + bottoni di una pagina.
+ * @param {string} guildId
+ * @param {number} page - 0-based (viene limitata all'intervallo valido)
+ */
+async function buildPage(guildId, page) {
+  const sessions = listSessions({ guildId });
+  const pageCount = Math.max(1, Math.ceil(sessions.length / PAGE_SIZE));
+  const current = Math.min(Math.max(page, 0), pageCount - 1);
+
+  const embed = new EmbedBuilder()
+    .setTitle("📚 Sessioni registrate")
+    .setFooter({
+      text: `Pagina ${current + 1}/${pageCount} · ${sessions.length} sessioni`,
+    });
+
+  if (sessions.length === 0) {
+    embed.setDescription("Nessuna sessione trovata. Usa `/start` per registrarne una.");
+  }
+
+  const pageSessions = sessions.slice(current * PAGE_SIZE, (current + 1) * PAGE_SIZE);
+  for (const session of pageSessions) {
+    const overview = await getSessionOverview(session);
+    const lines = [
+      `\`${overview.name}\``,
+      `⏱️ ${formatDuration(overview.durationSeconds)}` +
+        (overview.master ? ` · 🎲 Master: ${overview.master}` : ""),
+      `👥 ${overview.participants.length ? overview.participants.join(", ") : "—"}`,
+      formatArtifacts(overview.artifacts),
+    ];
+    embed.addFields({
+      name: formatSessionLabel(session).slice(0, 256),
+      value: lines.join("\n").slice(0, 1024),
+    });
+  }
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`sessions:page:${current - 1}`)
+      .setLabel("◀ Precedenti")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(current === 0),
+    new ButtonBuilder()
+      .setCustomId(`sessions:page:${current + 1}`)
+      .setLabel("Successive ▶")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(current >= pageCount - 1),
+  );
+
+  return { embeds: [embed], components: pageCount > 1 ? [row] : [] };
+}
+
+export async function execute(interaction) {
+  await interaction.deferReply();
+  await interaction.editReply(await buildPage(interaction.guildId, 0));
+}
+
+/** Bottoni di paginazione: customId "sessions:page:<n>". */
+export async function handleButton(interaction) {
+  const [, action, value] = interaction.customId.split(":");
+  if (action !== "page") return;
+  await interaction.update(await buildPage(interaction.guildId, parseInt(value, 10) || 0));
+}
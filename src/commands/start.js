@@ -1,6 +1,8 @@
 import { SlashCommandBuilder } from 'discord.js';
 import { getVoiceConnection } from '@discordjs/voice';
 import { VoiceRecorder } from '../voice/recorder.js';
+import { updateSession, setStageStatus } from '../sessions/registry.js';
+import { buildRecordingMessage, StatusPanel } from '../sessions/statusPanel.js';
 
 export const data = new SlashCommandBuilder()
   .setName('start')
@@ -55,11 +57,23 @@ export async function execute(interaction, client) {
 
     const channelName = session.voiceChannel.name;
 
-    await interaction.editReply({
-      content: `🔴 **Recording started** in **${channelName}**\n` +
-        `Session: \`${sessionName}\`\n\n` +
-        `Use \`/stop\` to finish and generate transcription.`,
+    await updateSession(sessionName, {
+      guildId: interaction.guildId,
+      channelId: session.voiceChannel.id,
+      channelName,
+      textChannelId: interaction.channelId,
+      startedAt: new Date(session.startTime).toISOString(),
+      master: {
+        userId: interaction.user.id,
+        displayName: interaction.member?.displayName ?? interaction.user.username,
+      },
     });
+    await setStageStatus(sessionName, 'recording', 'running');
+
+    // Live status panel (consent list, stats, Pause / Stop / Bookmark buttons)
+    const message = await interaction.editReply(buildRecordingMessage(session));
+    session.statusPanel = new StatusPanel(session, message);
+    session.statusPanel.start();
   } catch (error) {
     console.error('[Start] Error:', error);
     try {
@@ -0,0 +1,73 @@
+import { SlashCommandBuilder } from "discord.js";
+import { buildRecordingMessage, StatusPanel } from "../sessions/statusPanel.js";
+import { execute as stopRecording } from "./stop.js";
+import { buildMarkModal } from "./mark.js";
+
+export const data = new SlashCommandBuilder()
+  .setName("status")
+  .setDescription("Mostra qui il pannello live della registrazione in corso");
+
+export async function execute(interaction, client) {
+  const session = client.recordingSessions.get(interaction.guildId);
+
+  if (!session?.recording) {
+    return interaction.reply({
+      content: "Not currently recording. Use `/start` to begin.",
+      ephemeral: true,
+    });
+  }
+
+  await interaction.deferReply();
+  const message = await interaction.editReply(buildRecordingMessage(session));
+
+  if (session.statusPanel) {
+    await session.statusPanel.moveTo(message);
+  } else {
+    session.statusPanel = new StatusPanel(session, message);
+    session.statusPanel.start();
+  }
+}
+
+/**
+ * Bottoni del pannello: "status:pause" / "status:resume" / "status:stop" (solo il master)
+ * e "status:bookmark" (chiunque: apre il modal della nota, submit gestito da /mark).
+ */
+export async function handleButton(interaction, client) {
+  const [, action] = interaction.customId.split(":");
+  const session = client.recordingSessions.get(interaction.guildId);
+
+  if (!session?.recording || interaction.message?.id !== session.statusPanel?.message.id) {
+    return interaction.reply({
+      content: "Questo pannello non appartiene a una registrazione in corso.",
+      ephemeral: true,
+    });
+  }
+
+  if (action === "bookmark") {
+    // Nota facoltativa nel modal; il submit è gestito da /mark ("mark:note")
+    await interaction.showModal(buildMarkModal());
+    return;
+  }
+
+  // Pausa e stop cambiano la registrazione di tutto il tavolo: solo il master
+  if (interaction.user.id !== session.masterUserId) {
+    return interaction.reply({
+      content: "Solo il master (chi ha usato `/start`) può mettere in pausa o fermare la registrazione.",
+      ephemeral: true,
+    });
+  }
+
+  if (action === "pause" || action === "resume") {
+    if (action === "pause") {
+      session.recorder.pause();
+    } else {
+      session.recorder.resume();
+    }
+    await interaction.update(buildRecordingMessage(session));
+    return;
+  }
+
+  if (action === "stop") {
+    await stopRecording(interaction, client);
+  }
+}
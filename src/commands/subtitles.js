@@ -0,0 +1,60 @@
+import { SlashCommandBuilder, AttachmentBuilder } from "discord.js";
+import { basename } from "path";
+import { exportSession } from "../transcription/exporter.js";
+import { autocompleteSession } from "../sessions/autocomplete.js";
+import { listSessions } from "../sessions/files.js";
+
+export const data = new SlashCommandBuilder()
+  .setName("subtitles")
+  .setDescription("Rigenera sottotitoli SRT/WebVTT e JSON di una sessione")
+  .addStringOption((option) =>
+    option
+      .setName("session")
+      .setDescription("Nome sessione (es. session_2026-02-24T01-28-10-478Z)")
+      .setRequired(true)
+      .setAutocomplete(true),
+  );
+
+export async function autocomplete(interaction) {
+  await autocompleteSession(interaction);
+}
+
+export async function execute(interaction) {
+  const sessionName = interaction.options.getString("session");
+
+  // Solo le sessioni di questa guild: il nome finisce nei path dei file
+  if (!listSessions({ guildId: interaction.guildId }).some((s) => s.name === sessionName)) {
+    await interaction.reply({
+      content: `❌ Sessione \`${sessionName}\` non trovata.`,
+      ephemeral: true,
+    });
+    return;
+  }
+
+  await interaction.deferReply();
+
+  try {
+    const exportPaths = await exportSession(sessionName);
+
+    if (!exportPaths) {
+      await interaction.editReply({
+        content:
+          `❌ Nessuna trascrizione trovata per la sessione \`${sessionName}\`.\n` +
+          `Controlla che esista \`${sessionName}.txt\` (o \`${sessionName}_segments.json\`) in \`transcripts/\`.`,
+      });
+      return;
+    }
+
+    const files = Object.values(exportPaths).map(
+      (exportPath) => new AttachmentBuilder(exportPath, { name: basename(exportPath) }),
+    );
+
+    await interaction.editReply({
+      content: `🎬 **Export** \`${sessionName}\`: SRT, WebVTT e JSON.`,
+      files,
+    });
+  } catch (error) {
+    console.error("[Subtitles] Error:", error);
+    await interaction.editReply("⚠️ Errore durante la generazione degli export.");
+  }
+}
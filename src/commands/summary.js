@@ -3,7 +3,17 @@ import { existsSync } from "fs";
 import { readFile } from "fs/promises";
 import { join } from "path";
 import config from "../config.js";
-import { summarizeTranscriptFile } from "../transcription/ollamaProcessor.js";
+import { summarizeTranscriptFile } from "../transcription/llmProcessor.js";
+import { getSession } from "../sessions/registry.js";
+import { boundariesFromScenes } from "../transcription/utils/sceneAssignment.js";
+import { autocompleteSession } from "../sessions/autocomplete.js";
+import {
+  startProcessing,
+  updateProcessingProgress,
+  finishProcessing,
+  formatProgress,
+} from "../sessions/processing.js";
+import { findActiveJob } from "../sessions/jobs.js";
 
 export const data = new SlashCommandBuilder()
   .setName("summary")
@@ -12,24 +22,30 @@ export const data = new SlashCommandBuilder()
     option
       .setName("session")
       .setDescription("Nome sessione (es. session_2026-02-24T01-28-10-478Z)")
-      .setRequired(true),
+      .setRequired(true)
+      .setAutocomplete(true),
   );
 
+export async function autocomplete(interaction) {
+  await autocompleteSession(interaction);
+}
+
 export async function execute(interaction) {
   const sessionName = interaction.options.getString("session");
 
   await interaction.deferReply();
 
-  const originalPath = join(config.paths.transcripts, `${sessionName}.txt`);
-  const revisedPath = join(
-    config.paths.transcriptsRevised,
-    `${sessionName}_revised.txt`,
-  );
+  // Percorsi dal registro sessioni; per le sessioni precedenti al registro, naming convention
+  const record = getSession(sessionName);
+  const originalPath =
+    record?.artifacts.txt ?? join(config.paths.transcripts, `${sessionName}.txt`);
+  const revisedPath =
+    record?.artifacts.revised ??
+    join(config.paths.transcriptsRevised, `${sessionName}_revised.txt`);
 
   let transcriptPath;
   let sourceLabel;
 
-  // cosa fa?
   // se il file revised esiste, lo usa
   // se il file original esiste, lo usa
   // se nessuno dei due esiste, mostra un errore
@@ -48,24 +64,59 @@ export async function execute(interaction) {
     return;
   }
 
-  await interaction.editReply(
-    `🔄 Genero il riassunto per \`${sessionName}\` (sorgente: ${sourceLabel})...`,
-  );
+  // Il job di /stop o /recover scrive gli stessi file: si aspetta che finisca
+  const job = findActiveJob(sessionName);
+  if (job) {
+    await interaction.editReply(
+      `⏳ La sessione \`${sessionName}\` è in elaborazione (job \`#${job.id}\`): riprova quando è finita.`,
+    );
+    return;
+  }
+
+  let signal;
+  try {
+    signal = startProcessing(sessionName, { guildId: interaction.guildId });
+  } catch {
+    await interaction.editReply(
+      `⏳ La sessione \`${sessionName}\` è già in elaborazione (\`/cancel\` per interromperla).`,
+    );
+    return;
+  }
+
+  const startMsg = `🔄 Genero il riassunto per \`${sessionName}\` (sorgente: ${sourceLabel})...`;
+  await interaction.editReply(startMsg);
 
-  let masterUsername;
+  let masterUsername = record?.master?.displayName;
   try {
-    const metaPath = join(config.paths.transcriptsRevised, `${sessionName}_meta.json`);
-    if (existsSync(metaPath)) {
+    const metaPath =
+      record?.artifacts.meta ??
+      join(config.paths.transcriptsRevised, `${sessionName}_meta.json`);
+    if (!masterUsername && existsSync(metaPath)) {
       const meta = JSON.parse(await readFile(metaPath, "utf-8"));
       masterUsername = meta.masterUsername || undefined;
     }
   } catch (_) {}
 
+  // Scene segnate con /scene durante la registrazione
+  const { boundaries: sceneBoundaries, titles: sceneTitles } =
+    boundariesFromScenes(record?.scenes);
+
   try {
     const { summary } = await summarizeTranscriptFile(
       transcriptPath,
       sessionName,
-      { masterUsername },
+      {
+        masterUsername,
+        sceneBoundaries,
+        sceneTitles,
+        signal,
+        onProgress: (progress) => {
+          updateProcessingProgress(sessionName, progress);
+          interaction
+            .editReply(`${startMsg}\n${formatProgress(progress)}`)
+            .catch(() => {});
+        },
+      },
     );
 
     if (!summary) {
@@ -95,9 +146,17 @@ export async function execute(interaction) {
       await interaction.followUp({ content: chunks[i] });
     }
   } catch (error) {
+    if (signal.aborted) {
+      await interaction.editReply(
+        `⏹️ Riassunto di \`${sessionName}\` annullato: ${error.message}`,
+      );
+      return;
+    }
     console.error("[Summary] Error:", error);
     await interaction.editReply(
       "⚠️ Errore durante la generazione del riassunto.",
     );
+  } finally {
+    finishProcessing(sessionName);
   }
 }
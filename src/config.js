@@ -15,6 +15,16 @@ export default {
     guildId: process.env.GUILD_ID,
     /** Nome del canale testuale dove inviare trascrizione e riassunto (es. "riassunti"). Se non esiste, si usa thread/canale corrente. */
     summaryChannelName: process.env.SUMMARY_CHANNEL_NAME || 'riassunti',
+    /** Limite upload per messaggio in MB (10 senza boost del server). I file più grandi vengono compressi o divisi. */
+    uploadLimitMb: (() => {
+      const v = parseFloat(process.env.DISCORD_UPLOAD_LIMIT_MB ?? '10');
+      return Number.isFinite(v) && v > 0 ? v : 10;
+    })(),
+    /** Ogni quanti secondi aggiornare il pannello di stato della registrazione (min 5). */
+    statusPanelIntervalSeconds: (() => {
+      const v = parseInt(process.env.STATUS_PANEL_INTERVAL_SECONDS ?? '15', 10);
+      return Number.isFinite(v) && v >= 5 ? v : 15;
+    })(),
   },
   whisper: {
     model: process.env.WHISPER_MODEL || 'large-v3',
@@ -25,10 +35,106 @@ export default {
       return Number.isFinite(v) && v >= 0 ? v : 600;
     })(),
   },
+  recording: {
+    /** Se true, i WAV per utente mantengono i silenzi tra gli interventi (file time = session time + offset). Più pesanti su disco. */
+    preserveUserTimeline: process.env.PRESERVE_USER_TIMELINE === 'true',
+    /**
+     * Consenso alla registrazione: "opt-in" = si registra solo chi ha acconsentito (/consent o bottone su /start),
+     * "opt-out" = si registrano tutti tranne chi ha rifiutato.
+     */
+    consentMode: process.env.CONSENT_MODE === 'opt-out' ? 'opt-out' : 'opt-in',
+  },
+  llm: (() => {
+    const provider = process.env.LLM_PROVIDER || 'ollama';
+    const optionalInt = (value) => {
+      const v = parseInt(value ?? '', 10);
+      return Number.isFinite(v) && v > 0 ? v : undefined;
+    };
+    return {
+      /** Modello per revisione, riassunti, entità e /ask: "ollama" | "anthropic" | "openai" (OpenAI-compatibile). */
+      provider,
+      /** Provider degli embedding (/search, scene automatiche); Anthropic non li ha, quindi ollama. */
+      embedProvider: process.env.LLM_EMBED_PROVIDER || (provider === 'anthropic' ? 'ollama' : provider),
+      /** Limiti in token (default per provider se non impostati). */
+      contextTokens: optionalInt(process.env.LLM_CONTEXT_TOKENS),
+      outputTokens: optionalInt(process.env.LLM_MAX_OUTPUT_TOKENS),
+      /** Durata massima di una chiamata in secondi (0 = nessun limite). */
+      timeoutSeconds: (() => {
+        const v = parseInt(process.env.LLM_TIMEOUT_SECONDS ?? '600', 10);
+        return Number.isFinite(v) && v >= 0 ? v : 600;
+      })(),
+      /** Secondi senza token ricevuti prima di abbandonare la chiamata (0 = nessun limite; include il caricamento del modello). */
+      idleTimeoutSeconds: (() => {
+        const v = parseInt(process.env.LLM_IDLE_TIMEOUT_SECONDS ?? '180', 10);
+        return Number.isFinite(v) && v >= 0 ? v : 180;
+      })(),
+      ollama: {
+        url: process.env.OLLAMA_URL || 'http://localhost:11434',
+        model: process.env.OLLAMA_MODEL || 'mistral',
+        embedModel: process.env.OLLAMA_EMBED_MODEL || 'nomic-embed-text',
+      },
+      anthropic: {
+        apiKey: process.env.ANTHROPIC_API_KEY,
+        model: process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-20250514',
+      },
+      openai: {
+        url: (process.env.OPENAI_BASE_URL || 'http://localhost:8080/v1').replace(/\/+$/, ''),
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.OPENAI_MODEL,
+        embedModel: process.env.OPENAI_EMBED_MODEL,
+      },
+    };
+  })(),
+  scenes: {
+    /** Senza /scene, divide la sessione in scene da silenzi, narrazione del master ed embedding (false = finestre fisse di 4 min). */
+    autoDetect: process.env.SCENE_AUTO_DETECT !== 'false',
+    /** Durata minima in secondi di una scena rilevata. */
+    minSeconds: (() => {
+      const v = parseInt(process.env.SCENE_MIN_SECONDS ?? '300', 10);
+      return Number.isFinite(v) && v > 0 ? v : 300;
+    })(),
+    /** Silenzio in secondi (nessuno parla) che conta come possibile cambio scena. */
+    silenceSeconds: (() => {
+      const v = parseInt(process.env.SCENE_SILENCE_SECONDS ?? '30', 10);
+      return Number.isFinite(v) && v > 0 ? v : 30;
+    })(),
+  },
+  jobs: {
+    /** Job in parallelo sulla CPU (decodifica audio + Whisper) e sul LLM (revisione + riassunto). */
+    audioConcurrency: (() => {
+      const v = parseInt(process.env.JOBS_AUDIO_CONCURRENCY ?? '1', 10);
+      return Number.isFinite(v) && v > 0 ? v : 1;
+    })(),
+    llmConcurrency: (() => {
+      const v = parseInt(process.env.JOBS_LLM_CONCURRENCY ?? '1', 10);
+      return Number.isFinite(v) && v > 0 ? v : 1;
+    })(),
+    /** Tentativi per fase prima di considerarla fallita. */
+    maxAttempts: (() => {
+      const v = parseInt(process.env.JOBS_MAX_ATTEMPTS ?? '3', 10);
+      return Number.isFinite(v) && v > 0 ? v : 3;
+    })(),
+    /** Attesa prima del primo nuovo tentativo, raddoppiata a ogni tentativo successivo. */
+    retryDelaySeconds: (() => {
+      const v = parseInt(process.env.JOBS_RETRY_DELAY_SECONDS ?? '30', 10);
+      return Number.isFinite(v) && v >= 0 ? v : 30;
+    })(),
+  },
   paths: {
     root: rootDir,
     recordings: process.env.RECORDINGS_PATH || join(rootDir, 'recordings'),
     transcripts: process.env.TRANSCRIPTS_PATH || join(rootDir, 'transcripts'),
     transcriptsRevised: process.env.TRANSCRIPTS_REVISED_PATH || join(rootDir, 'transcripts-revised'),
+    exports: process.env.EXPORTS_PATH || join(rootDir, 'exports'),
+    /** Registro JSON delle sessioni (metadati, partecipanti, artefatti, stato pipeline). */
+    sessionRegistry: process.env.SESSION_REGISTRY_PATH || join(rootDir, 'sessions.json'),
+    /** Consensi alla registrazione per guild (userId -> in/out). */
+    consent: process.env.CONSENT_PATH || join(rootDir, 'consent.json'),
+    /** Knowledge base della campagna per guild (NPC, luoghi, oggetti, fazioni per /lore). */
+    lore: process.env.LORE_PATH || join(rootDir, 'lore.json'),
+    /** Coda dei job di elaborazione (decodifica, trascrizione, revisione, riassunto, pubblicazione). */
+    jobs: process.env.JOBS_PATH || join(rootDir, 'jobs.json'),
+    /** Versioni precedenti degli output salvate da /reprocess ({sessionName}/v{n}/). */
+    versions: process.env.VERSIONS_PATH || join(rootDir, 'versions'),
   },
 };
@@ -3,6 +3,8 @@ import { readdirSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import config from './config.js';
+import { announceUnfinishedSessions } from './sessions/recovery.js';
+import { startPipelineWorker } from './sessions/pipeline.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -43,6 +45,21 @@ async function loadCommands() {
 
 // Handle slash command interactions
 client.on(Events.InteractionCreate, async interaction => {
+  if (interaction.isAutocomplete()) {
+    await handleAutocomplete(interaction);
+    return;
+  }
+
+  if (interaction.isButton()) {
+    await handleButton(interaction);
+    return;
+  }
+
+  if (interaction.isModalSubmit()) {
+    await handleModal(interaction);
+    return;
+  }
+
   if (!interaction.isChatInputCommand()) return;
 
   const command = client.commands.get(interaction.commandName);
@@ -79,10 +96,96 @@ client.on(Events.InteractionCreate, async interaction => {
   }
 });
 
+// Autocomplete: delegated to the command's optional "autocomplete" export
+async function handleAutocomplete(interaction) {
+  const command = client.commands.get(interaction.commandName);
+  if (!command?.autocomplete) return;
+
+  try {
+    await command.autocomplete(interaction, client);
+  } catch (error) {
+    console.error(`[Error] Autocomplete failed for ${interaction.commandName}:`, error);
+    // Autocomplete can't show an error message; answer with no choices if still possible
+    if (!interaction.responded) {
+      await interaction.respond([]).catch(() => {});
+    }
+  }
+}
+
+// Buttons: customId is "<commandName>:<action>[:<args>]", routed to the command's "handleButton" export
+async function handleButton(interaction) {
+  const [commandName] = interaction.customId.split(':');
+  const command = client.commands.get(commandName);
+  if (!command?.handleButton) {
+    console.warn(`[Warning] No button handler for ${interaction.customId}`);
+    return;
+  }
+
+  try {
+    await command.handleButton(interaction, client);
+  } catch (error) {
+    console.error(`[Error] Error handling button ${interaction.customId}:`, error);
+
+    const errorMessage = {
+      content: 'There was an error handling this button!',
+      ephemeral: true,
+    };
+
+    try {
+      if (interaction.replied || interaction.deferred) {
+        await interaction.followUp(errorMessage);
+      } else {
+        await interaction.reply(errorMessage);
+      }
+    } catch (replyError) {
+      console.error('[Error] Failed to send button error message:', replyError.message);
+    }
+  }
+}
+
+// Modals: customId is "<commandName>:<action>", routed to the command's "handleModal" export
+async function handleModal(interaction) {
+  const [commandName] = interaction.customId.split(':');
+  const command = client.commands.get(commandName);
+  if (!command?.handleModal) {
+    console.warn(`[Warning] No modal handler for ${interaction.customId}`);
+    return;
+  }
+
+  try {
+    await command.handleModal(interaction, client);
+  } catch (error) {
+    console.error(`[Error] Error handling modal ${interaction.customId}:`, error);
+
+    const errorMessage = {
+      content: 'There was an error handling this form!',
+      ephemeral: true,
+    };
+
+    try {
+      if (interaction.replied || interaction.deferred) {
+        await interaction.followUp(errorMessage);
+      } else {
+        await interaction.reply(errorMessage);
+      }
+    } catch (replyError) {
+      console.error('[Error] Failed to send modal error message:', replyError.message);
+    }
+  }
+}
+
 // Bot ready event
 client.once(Events.ClientReady, readyClient => {
   console.log(`[Ready] Logged in as ${readyClient.user.tag}`);
   console.log(`[Ready] Serving ${readyClient.guilds.cache.size} guild(s)`);
+
+  // Processing jobs (transcription, LLM, publish): resumes the ones left by a restart
+  startPipelineWorker(readyClient);
+
+  // Recordings interrupted by a crash/restart: offer to finalize them
+  announceUnfinishedSessions(readyClient).catch(error => {
+    console.error('[Recovery] Failed to check interrupted recordings:', error);
+  });
 });
 
 // Error handling
@@ -0,0 +1,40 @@
+import Anthropic from "@anthropic-ai/sdk";
+
+/**
+ * Provider Anthropic (Messages API in streaming). Non ha embedding: per /search e le scene
+ * automatiche serve un altro provider in LLM_EMBED_PROVIDER (default ollama).
+ * @param {{ apiKey?: string, model: string, contextTokens?: number, outputTokens?: number }} options
+ *   - apiKey: default ANTHROPIC_API_KEY (letta dall'SDK)
+ * @returns {import("./index.js").LLMProvider}
+ */
+export function createAnthropicProvider({
+  apiKey,
+  model,
+  contextTokens = 200000,
+  outputTokens = 8192,
+}) {
+  const client = new Anthropic(apiKey ? { apiKey } : undefined);
+
+  return {
+    name: "anthropic",
+    model,
+    embedModel: null,
+    limits: { contextTokens, outputTokens },
+
+    async generate(prompt, { maxTokens, temperature = 0.2, signal, onToken } = {}) {
+      const stream = client.messages.stream(
+        {
+          model,
+          max_tokens: maxTokens,
+          temperature,
+          messages: [{ role: "user", content: prompt }],
+        },
+        { signal },
+      );
+      if (onToken) stream.on("text", onToken);
+      return (await stream.finalText()).trim();
+    },
+
+    embed: null,
+  };
+}
@@ -0,0 +1,225 @@
+import config from "../config.js";
+import { createAnthropicProvider } from "./anthropic.js";
+import { createOllamaProvider } from "./ollama.js";
+import { createOpenAIProvider } from "./openai.js";
+
+/**
+ * Interfaccia unica verso il modello linguistico: revisione, riassunti, entità, /ask
+ * e gli embedding (/search, scene automatiche) passano tutti da qui.
+ * Il provider di generazione è LLM_PROVIDER, quello degli embedding LLM_EMBED_PROVIDER
+ * (Anthropic non ha embedding: con LLM_PROVIDER=anthropic il default è ollama).
+ * La generazione è in streaming: ogni chiamata ha un timeout totale (LLM_TIMEOUT_SECONDS)
+ * e uno di inattività (LLM_IDLE_TIMEOUT_SECONDS, nessun token ricevuto), e si può annullare con un AbortSignal.
+ *
+ * @typedef {Object} LLMProvider
+ * @property {"ollama" | "anthropic" | "openai"} name
+ * @property {string | null} model - modello di generazione
+ * @property {string | null} embedModel - modello di embedding (null se non supportati)
+ * @property {{ contextTokens: number, outputTokens: number }} limits - contesto e risposta massimi, in token
+ * @property {(prompt: string, options?: { maxTokens?: number, temperature?: number, repeatPenalty?: number, signal?: AbortSignal, onToken?: (text: string) => void }) => Promise<string>} generate
+ *   repeatPenalty solo per Ollama; onToken a ogni pezzo di testo ricevuto
+ * @property {((texts: string[], options?: { signal?: AbortSignal }) => Promise<number[][]>) | null} embed
+ */
+
+const factories = {
+  ollama: createOllamaProvider,
+  anthropic: createAnthropicProvider,
+  openai: createOpenAIProvider,
+};
+
+/** Stima grossolana (≈ 4 caratteri per token) per avvisare dei prompt troppo lunghi. */
+const CHARS_PER_TOKEN = 4;
+
+let llm = null;
+let embedder = null;
+/** Provider di generazione con un modello diverso da quello configurato (/reprocess): modello -> provider */
+const modelOverrides = new Map();
+
+/**
+ * @param {string} name
+ * @param {{ model?: string }} [overrides] - es. un altro modello dello stesso provider
+ */
+function createProvider(name, overrides = {}) {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}" (${Object.keys(factories).join(", ")})`);
+  }
+  return factory({
+    ...config.llm[name],
+    ...overrides,
+    contextTokens: config.llm.contextTokens,
+    outputTokens: config.llm.outputTokens,
+  });
+}
+
+/**
+ * Provider di generazione configurato (LLM_PROVIDER).
+ * @param {string} [model] - altro modello dello stesso provider (default quello configurato)
+ * @returns {LLMProvider}
+ */
+export function getLLM(model) {
+  llm ??= createProvider(config.llm.provider);
+  if (!model || model === llm.model) return llm;
+  if (!modelOverrides.has(model)) {
+    modelOverrides.set(model, createProvider(config.llm.provider, { model }));
+  }
+  return modelOverrides.get(model);
+}
+
+/**
+ * Provider degli embedding configurato (LLM_EMBED_PROVIDER).
+ * @returns {LLMProvider}
+ */
+export function getEmbedder() {
+  return (embedder ??= createProvider(config.llm.embedProvider));
+}
+
+/**
+ * Etichetta del modello per log e intestazioni: "ollama/mistral"
+ * @param {string} [model] - vedi getLLM
+ * @returns {string}
+ */
+export function describeLLM(model) {
+  const { name, model: modelName } = getLLM(model);
+  return modelName ? `${name}/${modelName}` : name;
+}
+
+/**
+ * Modello degli embedding, salvato negli indici per non confrontare vettori di modelli diversi.
+ * @returns {string | null}
+ */
+export function getEmbedModel() {
+  return getEmbedder().embedModel;
+}
+
+/**
+ * AbortController della singola chiamata: si ferma con il signal esterno (annullamento, es. /cancel)
+ * o allo scadere dei timeout. touch() riavvia il timeout di inattività.
+ * @param {AbortSignal} [signal]
+ * @param {{ timeoutMs: number, idleTimeoutMs?: number }} timeouts - 0 = nessun limite
+ */
+function createCallController(signal, { timeoutMs, idleTimeoutMs = 0 }) {
+  const controller = new AbortController();
+  const abort = (reason) => {
+    if (!controller.signal.aborted) controller.abort(reason);
+  };
+  const onAbort = () => abort(signal.reason);
+  signal?.addEventListener("abort", onAbort, { once: true });
+
+  const timer = timeoutMs
+    ? setTimeout(() => abort(new Error(`LLM timeout after ${timeoutMs / 1000}s`)), timeoutMs)
+    : null;
+  let idleTimer = null;
+  const touch = () => {
+    if (!idleTimeoutMs) return;
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(
+      () => abort(new Error(`LLM idle for ${idleTimeoutMs / 1000}s, no tokens received`)),
+      idleTimeoutMs,
+    );
+  };
+  touch();
+
+  return {
+    signal: controller.signal,
+    touch,
+    dispose() {
+      clearTimeout(timer);
+      clearTimeout(idleTimer);
+      signal?.removeEventListener("abort", onAbort);
+    },
+  };
+}
+
+/**
+ * Genera una risposta dal prompt, in streaming. maxTokens è limitato a limits.outputTokens del provider.
+ * @param {string} prompt
+ * @param {{ maxTokens?: number, temperature?: number, repeatPenalty?: number, model?: string, signal?: AbortSignal, onToken?: (text: string) => void }} [options]
+ *   - model: altro modello dello stesso provider per questa chiamata (/reprocess)
+ *   - signal: annulla la chiamata (l'errore è signal.reason)
+ * @returns {Promise<string>}
+ * @throws {Error} se il provider non risponde, allo scadere dei timeout o se signal viene annullato
+ */
+export async function generate(prompt, options = {}) {
+  const { signal, onToken, model, ...rest } = options;
+  signal?.throwIfAborted();
+
+  const provider = getLLM(model);
+  const { contextTokens, outputTokens } = provider.limits;
+  const maxTokens = Math.min(rest.maxTokens ?? 2048, outputTokens);
+
+  const promptTokens = Math.ceil(prompt.length / CHARS_PER_TOKEN);
+  if (promptTokens + maxTokens > contextTokens) {
+    console.warn(
+      `[LLM] Prompt of ~${promptTokens} tokens may exceed the context of ${describeLLM(model)} (${contextTokens})`,
+    );
+  }
+
+  const call = createCallController(signal, {
+    timeoutMs: config.llm.timeoutSeconds * 1000,
+    idleTimeoutMs: config.llm.idleTimeoutSeconds * 1000,
+  });
+  try {
+    return await provider.generate(prompt, {
+      ...rest,
+      maxTokens,
+      signal: call.signal,
+      onToken: (text) => {
+        call.touch();
+        onToken?.(text);
+      },
+    });
+  } catch (err) {
+    // fetch e l'SDK lanciano un AbortError generico: meglio il motivo (annullata, timeout)
+    if (call.signal.aborted) throw call.signal.reason;
+    throw err;
+  } finally {
+    call.dispose();
+  }
+}
+
+/**
+ * Embedding dei testi con il provider degli embedding (timeout LLM_TIMEOUT_SECONDS).
+ * @param {string[]} texts
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<number[][]>} un vettore per testo, [] se gli embedding non sono disponibili
+ * @throws {Error} solo se signal viene annullato
+ */
+export async function embed(texts, { signal } = {}) {
+  if (!texts.length) return [];
+  signal?.throwIfAborted();
+
+  const provider = getEmbedder();
+  if (!provider.embed) {
+    console.warn(`[LLM] Embed skipped: ${provider.name} has no embeddings (set LLM_EMBED_PROVIDER)`);
+    return [];
+  }
+  const call = createCallController(signal, { timeoutMs: config.llm.timeoutSeconds * 1000 });
+  try {
+    return await provider.embed(texts, { signal: call.signal });
+  } catch (err) {
+    signal?.throwIfAborted();
+    console.warn("[LLM] Embed skipped:", (call.signal.reason ?? err).message);
+    return [];
+  } finally {
+    call.dispose();
+  }
+}
+
+/**
+ * Similarità coseno tra due embedding (0 se uno dei due è nullo).
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
@@ -0,0 +1,71 @@
+import { readLines } from "./stream.js";
+
+/**
+ * Provider Ollama (locale): /api/generate in streaming e /api/embed.
+ * @param {{ url: string, model: string, embedModel: string, contextTokens?: number, outputTokens?: number }} options
+ * @returns {import("./index.js").LLMProvider}
+ */
+export function createOllamaProvider({
+  url,
+  model,
+  embedModel,
+  contextTokens = 16384,
+  outputTokens = 4096,
+}) {
+  return {
+    name: "ollama",
+    model,
+    embedModel,
+    limits: { contextTokens, outputTokens },
+
+    async generate(
+      prompt,
+      { maxTokens, temperature = 0.2, repeatPenalty = 1.18, signal, onToken } = {},
+    ) {
+      const res = await fetch(`${url}/api/generate`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          model,
+          prompt,
+          stream: true,
+          options: {
+            temperature,
+            num_predict: maxTokens,
+            repeat_penalty: repeatPenalty,
+            num_ctx: contextTokens,
+          },
+        }),
+        signal,
+      });
+      if (!res.ok) throw new Error(`Ollama API: ${res.status} ${res.statusText}`);
+
+      // Una riga JSON per token: { response, done } (o { error })
+      let text = "";
+      for await (const line of readLines(res.body)) {
+        const data = JSON.parse(line);
+        if (data.error) throw new Error(`Ollama API: ${data.error}`);
+        if (data.response) {
+          text += data.response;
+          onToken?.(data.response);
+        }
+        if (data.done) break;
+      }
+      return text.trim();
+    },
+
+    async embed(texts, { signal } = {}) {
+      const res = await fetch(`${url}/api/embed`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ model: embedModel, input: texts }),
+        signal,
+      });
+      if (!res.ok) {
+        throw new Error(`Ollama embed: ${res.status} ${res.statusText} (pull ${embedModel}?)`);
+      }
+      const data = await res.json();
+      return data.embeddings || [];
+    },
+  };
+}
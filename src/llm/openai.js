@@ -0,0 +1,76 @@
+import { readLines } from "./stream.js";
+
+/**
+ * Provider OpenAI-compatibile: /chat/completions (in streaming, SSE) e /embeddings sotto OPENAI_BASE_URL
+ * (llama.cpp server, vLLM, LM Studio, o l'API OpenAI con OPENAI_API_KEY).
+ * @param {{ url: string, apiKey?: string, model?: string, embedModel?: string, contextTokens?: number, outputTokens?: number }} options
+ *   - model / embedModel: obbligatori per vLLM e LM Studio, ignorati da llama.cpp server
+ * @returns {import("./index.js").LLMProvider}
+ */
+export function createOpenAIProvider({
+  url,
+  apiKey,
+  model,
+  embedModel,
+  contextTokens = 8192,
+  outputTokens = 4096,
+}) {
+  const headers = {
+    "Content-Type": "application/json",
+    ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+  };
+
+  return {
+    name: "openai",
+    model: model ?? null,
+    embedModel: embedModel ?? null,
+    limits: { contextTokens, outputTokens },
+
+    async generate(prompt, { maxTokens, temperature = 0.2, signal, onToken } = {}) {
+      const res = await fetch(`${url}/chat/completions`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({
+          ...(model ? { model } : {}),
+          messages: [{ role: "user", content: prompt }],
+          max_tokens: maxTokens,
+          temperature,
+          stream: true,
+        }),
+        signal,
+      });
+      if (!res.ok) throw new Error(`OpenAI API: ${res.status} ${res.statusText}`);
+
+      // Server-sent events: "data: { choices: [{ delta: { content } }] }", chiusi da "data: [DONE]"
+      let text = "";
+      for await (const line of readLines(res.body)) {
+        if (!line.startsWith("data:")) continue;
+        const payload = line.slice(5).trim();
+        if (payload === "[DONE]") break;
+        const data = JSON.parse(payload);
+        if (data.error) throw new Error(`OpenAI API: ${data.error.message ?? data.error}`);
+        const token = data.choices?.[0]?.delta?.content;
+        if (token) {
+          text += token;
+          onToken?.(token);
+        }
+      }
+      return text.trim();
+    },
+
+    async embed(texts, { signal } = {}) {
+      const res = await fetch(`${url}/embeddings`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ ...(embedModel ? { model: embedModel } : {}), input: texts }),
+        signal,
+      });
+      if (!res.ok) throw new Error(`OpenAI embeddings: ${res.status} ${res.statusText}`);
+      const data = await res.json();
+      // L'ordine di data segue index, non sempre quello della richiesta
+      return (data.data || [])
+        .sort((a, b) => a.index - b.index)
+        .map((item) => item.embedding);
+    },
+  };
+}
@@ -0,0 +1,20 @@
+/**
+ * Righe di una risposta in streaming (NDJSON di Ollama, SSE OpenAI-compatibile).
+ * @param {ReadableStream<Uint8Array>} body - res.body di fetch
+ * @returns {AsyncGenerator<string>} righe non vuote, senza "\n"
+ */
+export async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (line) yield line;
+    }
+  }
+  buffer += decoder.decode();
+  if (buffer.trim()) yield buffer.trim();
+}
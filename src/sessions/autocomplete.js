@@ -0,0 +1,31 @@
+import { listSessions, formatSessionLabel } from "./files.js";
+
+/** Discord accetta al massimo 25 suggerimenti. */
+const MAX_CHOICES = 25;
+
+/**
+ * Autocomplete dell'opzione "session": sessioni più recenti prima,
+ * filtrate per nome o etichetta in base a quanto digitato.
+ * @param {import("discord.js").AutocompleteInteraction} interaction
+ */
+export async function autocompleteSession(interaction) {
+  const focused = interaction.options.getFocused(true);
+  if (focused.name !== "session") {
+    await interaction.respond([]);
+    return;
+  }
+
+  const query = String(focused.value ?? "").toLowerCase().trim();
+  const choices = listSessions({ guildId: interaction.guildId })
+    .map((session) => ({ name: formatSessionLabel(session).slice(0, 100), value: session.name }))
+    .filter(
+      (choice) =>
+        !query ||
+        choice.value.toLowerCase().includes(query) ||
+        choice.name.toLowerCase().includes(query),
+    )
+    .filter((choice) => choice.value.length <= 100)
+    .slice(0, MAX_CHOICES);
+
+  await interaction.respond(choices);
+}
@@ -0,0 +1,77 @@
+import config from "../config.js";
+import { createJsonStore } from "./jsonStore.js";
+
+/**
+ * Consenso dei giocatori alla registrazione, per guild (JSON in config.paths.consent, default consent.json):
+ * { version, guilds: { [guildId]: { [userId]: { consent: "in" | "out", updatedAt } } } }
+ * Chi non ha mai scelto segue config.recording.consentMode ("opt-in": non registrato, "opt-out": registrato).
+ */
+
+const CONSENT_VERSION = 1;
+
+const { load, persist } = createJsonStore(
+  config.paths.consent,
+  { version: CONSENT_VERSION, guilds: {} },
+  { label: "Consent" },
+);
+
+/**
+ * Scelta esplicita del giocatore.
+ * @param {string} guildId
+ * @param {string} userId
+ * @returns {"in" | "out" | null} null se non ha mai scelto
+ */
+export function getConsent(guildId, userId) {
+  return load().guilds[guildId]?.[userId]?.consent ?? null;
+}
+
+/**
+ * @param {string} guildId
+ * @param {string} userId
+ * @param {"in" | "out"} consent
+ * @returns {Promise<void>}
+ */
+export function setConsent(guildId, userId, consent) {
+  const guilds = load().guilds;
+  guilds[guildId] ??= {};
+  guilds[guildId][userId] = { consent, updatedAt: new Date().toISOString() };
+  return persist();
+}
+
+/**
+ * Il giocatore può essere registrato? Scelta esplicita, altrimenti la modalità configurata.
+ * @param {string} guildId
+ * @param {string} userId
+ * @returns {boolean}
+ */
+export function isRecordingAllowed(guildId, userId) {
+  const consent = getConsent(guildId, userId);
+  if (consent) return consent === "in";
+  return config.recording.consentMode === "opt-out";
+}
+
+/**
+ * Elenco di chi è e chi non è registrato tra i membri (bot esclusi), per i messaggi di /start.
+ * @param {string} guildId
+ * @param {Iterable<import("discord.js").GuildMember>} members
+ * @returns {string}
+ */
+export function formatConsentList(guildId, members) {
+  const recorded = [];
+  const notRecorded = [];
+  for (const member of members) {
+    if (member.user?.bot) continue;
+    const name = member.displayName ?? member.user?.username ?? member.id;
+    if (isRecordingAllowed(guildId, member.id)) {
+      recorded.push(name);
+    } else {
+      const reason = getConsent(guildId, member.id) === "out" ? "ha rifiutato" : "nessun consenso";
+      notRecorded.push(`${name} (${reason})`);
+    }
+  }
+
+  return (
+    `✅ **Registrati:** ${recorded.length ? recorded.join(", ") : "nessuno"}\n` +
+    `🚫 **Non registrati:** ${notRecorded.length ? notRecorded.join(", ") : "nessuno"}`
+  );
+}
@@ -0,0 +1,186 @@
+import { existsSync, readdirSync, statSync } from "fs";
+import { open, readFile } from "fs/promises";
+import { join } from "path";
+import config from "../config.js";
+import { getExportPaths } from "../transcription/exporter.js";
+import { getEmbeddingsPath } from "../transcription/searchIndex.js";
+import { getEntitiesPath } from "../transcription/entities.js";
+import { getSegmentsPath } from "../transcription/utils/sessionSegments.js";
+import { listRegisteredSessions, getSession } from "./registry.js";
+
+/**
+ * Convenzioni di naming dei file di una sessione (stesse usate da /stop e /summary).
+ * @param {string} sessionName
+ * @returns {{ audio: string, audioOgg: string, txt: string, segments: string, revised: string, summary: string, meta: string, embeddings: string, entities: string, srt: string, vtt: string, json: string }}
+ */
+export function getSessionArtifactPaths(sessionName) {
+  const exportPaths = getExportPaths(sessionName);
+  return {
+    audio: join(config.paths.recordings, `${sessionName}.wav`),
+    audioOgg: join(config.paths.recordings, `${sessionName}.ogg`),
+    txt: join(config.paths.transcripts, `${sessionName}.txt`),
+    segments: getSegmentsPath(sessionName),
+    revised: join(config.paths.transcriptsRevised, `${sessionName}_revised.txt`),
+    summary: join(config.paths.transcriptsRevised, `${sessionName}_summary.txt`),
+    meta: join(config.paths.transcriptsRevised, `${sessionName}_meta.json`),
+    embeddings: getEmbeddingsPath(sessionName),
+    entities: getEntitiesPath(sessionName),
+    ...exportPaths,
+  };
+}
+
+/**
+ * Path di un artefatto della sessione se esiste su disco.
+ * Per l'audio usa il WAV misto, o l'OGG delle registrazioni più vecchie.
+ * @param {string} sessionName
+ * @param {"audio" | "txt" | "segments" | "revised" | "summary" | "meta" | "srt" | "vtt" | "json"} kind
+ * @returns {string | null}
+ */
+export function findSessionArtifact(sessionName, kind) {
+  const paths = getSessionArtifactPaths(sessionName);
+  const candidates = kind === "audio" ? [paths.audio, paths.audioOgg] : [paths[kind]];
+  return candidates.find((p) => p && existsSync(p)) ?? null;
+}
+
+/** Suffissi dei file che identificano una sessione, per cartella. */
+const SESSION_FILE_SUFFIXES = {
+  transcripts: [".txt"],
+  transcriptsRevised: ["_revised.txt", "_summary.txt", "_meta.json"],
+};
+
+const RE_TIMESTAMP_NAME = /^session_(\d{4})-(\d{2})-(\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/;
+
+/**
+ * Data di inizio dal nome sessione di default (session_2026-02-24T01-28-10-478Z), o null.
+ * @param {string} sessionName
+ * @returns {Date | null}
+ */
+export function parseSessionDate(sessionName) {
+  const m = sessionName.match(RE_TIMESTAMP_NAME);
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s, ms] = m;
+  return new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}.${ms}Z`);
+}
+
+/**
+ * Etichetta leggibile: "24 feb 2026, 01:28" per i nomi di default, "nome · data" per quelli custom.
+ * @param {{ name: string, date: Date }} session
+ * @returns {string}
+ */
+export function formatSessionLabel({ name, date }) {
+  const when = date.toLocaleString("it-IT", {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+  return RE_TIMESTAMP_NAME.test(name) ? `Sessione del ${when}` : `${name} · ${when}`;
+}
+
+/**
+ * Elenca le sessioni del registro più quelle che hanno almeno una trascrizione
+ * (originale o rivista) su disco, dalla più recente.
+ * I checkpoint (`_checkpoint_N`) non sono sessioni a sé.
+ * @param {{ guildId?: string }} [filter] - con guildId, le sessioni registrate di altre guild sono escluse
+ * @returns {Array<{ name: string, date: Date }>}
+ */
+export function listSessions({ guildId } = {}) {
+  const sessions = new Map(); // name -> date
+  const otherGuilds = new Set();
+
+  for (const record of listRegisteredSessions()) {
+    if (guildId && record.guildId && record.guildId !== guildId) {
+      otherGuilds.add(record.sessionName);
+      continue;
+    }
+    const date = new Date(record.startedAt ?? record.createdAt);
+    sessions.set(record.sessionName, parseSessionDate(record.sessionName) ?? date);
+  }
+
+  const dirs = [
+    [config.paths.transcripts, SESSION_FILE_SUFFIXES.transcripts],
+    [config.paths.transcriptsRevised, SESSION_FILE_SUFFIXES.transcriptsRevised],
+  ];
+
+  for (const [dir, suffixes] of dirs) {
+    if (!existsSync(dir)) continue;
+    for (const file of readdirSync(dir)) {
+      const suffix = suffixes.find((sfx) => file.endsWith(sfx));
+      if (!suffix) continue;
+      const name = file.slice(0, -suffix.length);
+      if (!name || name.includes("_checkpoint_") || otherGuilds.has(name)) continue;
+      if (suffix === ".txt" && /_(revised|summary)$/.test(name)) continue;
+
+      const date = parseSessionDate(name) ?? statSync(join(dir, file)).mtime;
+      const known = sessions.get(name);
+      if (!known || date < known) sessions.set(name, date);
+    }
+  }
+
+  return [...sessions.entries()]
+    .map(([name, date]) => ({ name, date }))
+    .sort((a, b) => b.date - a.date);
+}
+
+/** Byte letti dall'inizio di una trascrizione per trovare l'header "Speakers: ...". */
+const HEADER_BYTES = 1024;
+
+/** Speaker dall'header "Speakers: ..." di una trascrizione (sessioni senza registro). */
+async function readSpeakersFromTranscript(transcriptPath) {
+  const handle = await open(transcriptPath, "r");
+  try {
+    const buffer = Buffer.alloc(HEADER_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, HEADER_BYTES, 0);
+    const header = buffer.subarray(0, bytesRead).toString("utf-8");
+    const m = header.match(/^Speakers:\s*(.+)$/m);
+    return m ? m[1].split(",").map((n) => n.trim()).filter(Boolean) : [];
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Riepilogo di una sessione per la consultazione: dati dal registro,
+ * con fallback sui file per le sessioni precedenti al registro.
+ * @param {{ name: string, date: Date }} session - voce di listSessions()
+ * @returns {Promise<{ name: string, date: Date, durationSeconds: number | null, participants: string[], master: string | null, artifacts: { audio: boolean, txt: boolean, revised: boolean, summary: boolean } }>}
+ */
+export async function getSessionOverview({ name, date }) {
+  const record = getSession(name);
+  const artifactPath = (kind) =>
+    record?.artifacts?.[kind] && existsSync(record.artifacts[kind])
+      ? record.artifacts[kind]
+      : findSessionArtifact(name, kind);
+
+  const txtPath = artifactPath("txt");
+  const revisedPath = artifactPath("revised");
+  let participants = Object.values(record?.participants ?? {});
+  // La rivista riporta l'header dell'originale, quindi vale come fallback
+  const headerSource = txtPath ?? revisedPath;
+  if (participants.length === 0 && headerSource) {
+    participants = await readSpeakersFromTranscript(headerSource).catch(() => []);
+  }
+
+  let master = record?.master?.displayName ?? null;
+  const metaPath = artifactPath("meta");
+  if (!master && metaPath) {
+    try {
+      master = JSON.parse(await readFile(metaPath, "utf-8")).masterUsername ?? null;
+    } catch (_) {}
+  }
+
+  return {
+    name,
+    date,
+    durationSeconds: record?.durationSeconds ?? null,
+    participants,
+    master,
+    artifacts: {
+      audio: Boolean(artifactPath("audio")),
+      txt: Boolean(txtPath),
+      revised: Boolean(revisedPath),
+      summary: Boolean(artifactPath("summary")),
+    },
+  };
+}
@@ -0,0 +1,409 @@
+import config from "../config.js";
+import { createJsonStore } from "./jsonStore.js";
+import { formatProgress } from "./processing.js";
+
+/**
+ * Coda persistente dei job di elaborazione (JSON in config.paths.jobs, default jobs.json):
+ * { version, nextId, jobs: [{
+ *     id, sessionName, guildId, channelId, messageId (messaggio di stato aggiornato a ogni fase),
+ *     status: "queued" | "running" | "done" | "failed" | "cancelled",
+ *     stages: { [stage]: { status: "pending" | "running" | "done" | "failed" | "skipped", attempts, error?, retryAt?, startedAt?, finishedAt? } },
+ *     data: { ... } (risultati delle fasi: file audio, trascrizione, riassunto...),
+ *     cancelled: string | null (motivo),
+ *     createdAt, updatedAt
+ * }] }
+ * Le fasi (JOB_STAGES, o solo alcune: /reprocess salta decode) sono eseguite in ordine dagli handler passati a startJobWorker, un job alla volta
+ * per risorsa fino al limite configurato (audio: JOBS_AUDIO_CONCURRENCY, llm: JOBS_LLM_CONCURRENCY).
+ * Una fase che fallisce viene ritentata dopo JOBS_RETRY_DELAY_SECONDS (raddoppiato a ogni tentativo) fino a
+ * JOBS_MAX_ATTEMPTS; se fallisce del tutto le fasi che ne dipendono vengono saltate e il job prosegue
+ * (publish pubblica quello che c'è). All'avvio le fasi rimaste "running" ripartono da capo.
+ * Un job concluso con fasi fallite o saltate si rimette in coda con retryJob (/jobs).
+ */
+
+const JOBS_VERSION = 1;
+
+/** Fasi di un job, in ordine di esecuzione. */
+export const JOB_STAGES = ["decode", "transcribe", "revise", "summarize", "publish"];
+
+/** Risorsa usata da ogni fase e fasi senza le quali non può girare. */
+const STAGE_INFO = {
+  decode: { pool: "audio", requires: [] },
+  transcribe: { pool: "audio", requires: ["decode"] },
+  revise: { pool: "llm", requires: ["transcribe"] },
+  summarize: { pool: "llm", requires: ["transcribe"] },
+  publish: { pool: "discord", requires: [] },
+};
+
+/** Job conclusi conservati (i più vecchi vengono eliminati). */
+const MAX_FINISHED_JOBS = 50;
+
+let handlers = null;
+let onUpdate = null;
+let wakeTimer = null;
+/** Job con una fase in esecuzione: id -> { stage, controller, progress } */
+const running = new Map();
+/** Oggetti in memoria per gli handler (es. il VoiceRecorder di /stop), persi al riavvio. */
+const contexts = new Map();
+
+const { load, persist } = createJsonStore(
+  config.paths.jobs,
+  { version: JOBS_VERSION, nextId: 1, jobs: [] },
+  { label: "Jobs", afterLoad: requeueInterrupted },
+);
+
+/** Fasi interrotte da un riavvio: si ripetono. */
+function requeueInterrupted({ jobs }) {
+  for (const job of jobs.filter(isActive)) {
+    job.status = "queued";
+    for (const stage of jobStages(job)) {
+      if (job.stages[stage].status === "running") job.stages[stage].status = "pending";
+    }
+  }
+}
+
+/** Fasi del job, in ordine (un job può averne solo alcune). */
+function jobStages(job) {
+  return JOB_STAGES.filter((stage) => job.stages[stage]);
+}
+
+function isActive(job) {
+  return job.status === "queued" || job.status === "running";
+}
+
+/** Copia del job con l'avanzamento in memoria della fase in corso (progress). */
+function snapshot(job) {
+  return { ...structuredClone(job), progress: running.get(job.id)?.progress ?? null };
+}
+
+function findJob(id) {
+  return load().jobs.find((job) => job.id === Number(id)) ?? null;
+}
+
+function touch(job) {
+  job.updatedAt = new Date().toISOString();
+}
+
+/** Avvisa onUpdate (messaggio di stato) senza attenderlo. */
+function notify(job) {
+  if (!onUpdate) return;
+  Promise.resolve()
+    .then(() => onUpdate(snapshot(job)))
+    .catch((err) => console.warn(`[Jobs] #${job.id} update failed:`, err.message));
+}
+
+/**
+ * Accoda l'elaborazione di una sessione.
+ * @param {{ sessionName: string, guildId?: string | null, channelId?: string | null, messageId?: string | null, stages?: string[], data?: Object }} job
+ *   - stages: fasi da eseguire (default tutte); data deve contenere i risultati di quelle saltate
+ * @param {Object} [context] - oggetti non serializzabili per gli handler (persi al riavvio)
+ * @returns {Promise<Object>} il job (copia)
+ */
+export async function enqueueJob(
+  { sessionName, guildId = null, channelId = null, messageId = null, stages = JOB_STAGES, data = {} },
+  context = {},
+) {
+  const store = load();
+  const now = new Date().toISOString();
+  const job = {
+    id: store.nextId++,
+    sessionName,
+    guildId,
+    channelId,
+    messageId,
+    status: "queued",
+    stages: Object.fromEntries(
+      JOB_STAGES.filter((stage) => stages.includes(stage)).map((stage) => [
+        stage,
+        { status: "pending", attempts: 0 },
+      ]),
+    ),
+    data,
+    cancelled: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  store.jobs.push(job);
+  contexts.set(job.id, context);
+
+  const finished = store.jobs.filter((j) => !isActive(j));
+  if (finished.length > MAX_FINISHED_JOBS) {
+    const removed = new Set(finished.slice(0, finished.length - MAX_FINISHED_JOBS));
+    store.jobs = store.jobs.filter((j) => !removed.has(j));
+  }
+
+  await persist();
+  console.log(`[Jobs] #${job.id} queued for ${sessionName}`);
+  schedule();
+  return snapshot(job);
+}
+
+/**
+ * @param {number | string} id
+ * @returns {Object | null} job (copia) o null
+ */
+export function getJob(id) {
+  const job = findJob(id);
+  return job ? snapshot(job) : null;
+}
+
+/**
+ * Job dal più recente.
+ * @param {{ guildId?: string, sessionName?: string, active?: boolean }} [filter] - active: solo quelli non conclusi
+ * @returns {Object[]}
+ */
+export function listJobs({ guildId, sessionName, active } = {}) {
+  return load()
+    .jobs.filter((job) => !guildId || job.guildId === guildId)
+    .filter((job) => !sessionName || job.sessionName === sessionName)
+    .filter((job) => !active || isActive(job))
+    .sort((a, b) => b.id - a.id)
+    .map(snapshot);
+}
+
+/**
+ * Job non concluso di una sessione (una sessione ne ha al massimo uno alla volta).
+ * @param {string} sessionName
+ * @returns {Object | null}
+ */
+export function findActiveJob(sessionName) {
+  return listJobs({ sessionName, active: true })[0] ?? null;
+}
+
+/**
+ * Annulla un job: le fasi non ancora eseguite vengono saltate (tranne publish, che pubblica
+ * quello che c'è) e la fase in corso riceve l'abort (le chiamate LLM si interrompono subito,
+ * decodifica e Whisper arrivano in fondo).
+ * @param {number | string} id
+ * @param {Error} reason
+ * @returns {boolean} false se il job non esiste o è già concluso / annullato
+ */
+export function cancelJob(id, reason) {
+  const job = findJob(id);
+  if (!job || !isActive(job) || job.cancelled) return false;
+
+  job.cancelled = reason.message;
+  for (const stage of jobStages(job)) {
+    const state = job.stages[stage];
+    if (stage !== "publish" && state.status === "pending") {
+      Object.assign(state, { status: "skipped", error: reason.message });
+      delete state.retryAt;
+    }
+  }
+  running.get(job.id)?.controller.abort(reason);
+  touch(job);
+  persist();
+  notify(job);
+  console.log(`[Jobs] #${job.id} cancelled: ${reason.message}`);
+  schedule();
+  return true;
+}
+
+/**
+ * Fase da cui ripartirebbe un job concluso: la prima fallita o saltata (null se è andato tutto bene).
+ * @param {Object} job
+ * @returns {string | null}
+ */
+export function getRetryStage(job) {
+  if (isActive(job)) return null;
+  return jobStages(job).find((stage) => ["failed", "skipped"].includes(job.stages[stage].status)) ?? null;
+}
+
+/**
+ * Rimette in coda un job concluso dalla prima fase fallita o saltata: quella e le successive ripartono
+ * da capo con i dati già salvati (audio, trascrizioni), le precedenti restano fatte.
+ * @param {number | string} id
+ * @param {{ channelId?: string | null, messageId?: string | null }} [target] - nuovo messaggio di stato
+ * @returns {Promise<Object | null>} il job (copia), null se non esiste, è attivo, non ha fasi da ripetere
+ *   o la sessione ha già un altro job attivo
+ */
+export async function retryJob(id, { channelId, messageId } = {}) {
+  const job = findJob(id);
+  const from = job && getRetryStage(job);
+  if (!from || load().jobs.some((j) => j !== job && j.sessionName === job.sessionName && isActive(j))) {
+    return null;
+  }
+
+  const stages = jobStages(job);
+  for (const stage of stages.slice(stages.indexOf(from))) {
+    job.stages[stage] = { status: "pending", attempts: 0 };
+  }
+  job.status = "queued";
+  job.cancelled = null;
+  if (messageId) Object.assign(job, { channelId: channelId ?? job.channelId, messageId });
+  touch(job);
+  await persist();
+  console.log(`[Jobs] #${job.id} ${job.sessionName}: retrying from ${from}`);
+  schedule();
+  return snapshot(job);
+}
+
+function nextStage(job) {
+  return jobStages(job).find((stage) => job.stages[stage].status === "pending") ?? null;
+}
+
+/** Dopo una fase fallita: salta (a catena) le fasi che ne dipendono. */
+function skipDependents(job, failedStage) {
+  for (const stage of jobStages(job)) {
+    const state = job.stages[stage];
+    if (state.status !== "pending" || !STAGE_INFO[stage].requires.includes(failedStage)) continue;
+    Object.assign(state, { status: "skipped", error: `${failedStage} failed` });
+    delete state.retryAt;
+    skipDependents(job, stage);
+  }
+}
+
+function finishJob(job) {
+  const failed = jobStages(job).some((stage) => job.stages[stage].status === "failed");
+  job.status = job.cancelled ? "cancelled" : failed ? "failed" : "done";
+  contexts.delete(job.id);
+  touch(job);
+  console.log(`[Jobs] #${job.id} ${job.sessionName}: ${job.status}`);
+}
+
+function poolLimit(pool) {
+  if (pool === "audio") return config.jobs.audioConcurrency;
+  if (pool === "llm") return config.jobs.llmConcurrency;
+  return Infinity;
+}
+
+/** Avvia le fasi pronte, dal job più vecchio, nei limiti di ogni risorsa. */
+function schedule() {
+  if (!handlers) return;
+  clearTimeout(wakeTimer);
+  wakeTimer = null;
+
+  const now = Date.now();
+  const busy = {};
+  for (const { stage } of running.values()) {
+    busy[STAGE_INFO[stage].pool] = (busy[STAGE_INFO[stage].pool] ?? 0) + 1;
+  }
+
+  let wakeAt = Infinity;
+  for (const job of load().jobs) {
+    if (!isActive(job) || running.has(job.id)) continue;
+    const stage = nextStage(job);
+    if (!stage) {
+      finishJob(job);
+      persist();
+      notify(job);
+      continue;
+    }
+    const retryAt = Date.parse(job.stages[stage].retryAt ?? "") || 0;
+    if (retryAt > now) {
+      wakeAt = Math.min(wakeAt, retryAt);
+      continue;
+    }
+    const { pool } = STAGE_INFO[stage];
+    if ((busy[pool] ?? 0) >= poolLimit(pool)) continue;
+    busy[pool] = (busy[pool] ?? 0) + 1;
+    runStage(job, stage);
+  }
+
+  if (wakeAt < Infinity) wakeTimer = setTimeout(schedule, wakeAt - now);
+}
+
+async function runStage(job, stage) {
+  const controller = new AbortController();
+  const entry = { stage, controller, progress: null };
+  running.set(job.id, entry);
+
+  const state = job.stages[stage];
+  state.status = "running";
+  state.attempts += 1;
+  state.startedAt = new Date().toISOString();
+  delete state.retryAt;
+  job.status = "running";
+  touch(job);
+  persist();
+  notify(job);
+  console.log(`[Jobs] #${job.id} ${job.sessionName}: ${stage} (attempt ${state.attempts})`);
+
+  try {
+    const output = await handlers[stage](structuredClone(job), {
+      signal: controller.signal,
+      context: contexts.get(job.id) ?? {},
+      onProgress: (progress) => {
+        entry.progress = progress;
+        notify(job);
+      },
+    });
+    Object.assign(job.data, output ?? {});
+    state.status = "done";
+    delete state.error;
+  } catch (err) {
+    state.error = err.message;
+    if (controller.signal.aborted || state.attempts >= config.jobs.maxAttempts) {
+      console.error(`[Jobs] #${job.id} ${stage} failed:`, err.message);
+      state.status = "failed";
+      skipDependents(job, stage);
+    } else {
+      const delayMs = config.jobs.retryDelaySeconds * 1000 * 2 ** (state.attempts - 1);
+      console.warn(`[Jobs] #${job.id} ${stage} failed, retrying in ${delayMs / 1000}s:`, err.message);
+      state.status = "pending";
+      state.retryAt = new Date(Date.now() + delayMs).toISOString();
+    }
+  } finally {
+    running.delete(job.id);
+    state.finishedAt = new Date().toISOString();
+    job.status = "queued";
+    if (!nextStage(job)) finishJob(job);
+    touch(job);
+    persist();
+    notify(job);
+    schedule();
+  }
+}
+
+/**
+ * Avvia l'esecuzione della coda (all'avvio del bot): riprende i job rimasti a metà.
+ * @param {Object<string, (job: Object, ctx: { signal: AbortSignal, context: Object, onProgress: (progress: Object) => void }) => Promise<Object | void>>} stageHandlers
+ *   un handler per fase: riceve una copia del job e restituisce i dati da unire a job.data
+ * @param {{ onUpdate?: (job: Object) => unknown }} [options] - a ogni cambio di fase e avanzamento
+ */
+export function startJobWorker(stageHandlers, options = {}) {
+  handlers = stageHandlers;
+  onUpdate = options.onUpdate ?? null;
+  const resumed = load().jobs.filter(isActive);
+  if (resumed.length) console.log(`[Jobs] Resuming ${resumed.length} job(s)`);
+  schedule();
+}
+
+const STAGE_ICONS = {
+  pending: "▫️",
+  running: "⏳",
+  done: "✅",
+  failed: "❌",
+  skipped: "⏭️",
+};
+
+const STAGE_LABELS = {
+  decode: "Decode",
+  transcribe: "Transcribe",
+  revise: "Revise",
+  summarize: "Summarize",
+  publish: "Publish",
+};
+
+/**
+ * Stato del job in poche righe: fasi, avanzamento della fase in corso, nuovi tentativi ed errori.
+ * @param {Object} job - da getJob / listJobs
+ * @returns {string}
+ */
+export function formatJobStatus(job) {
+  const lines = [
+    jobStages(job).map((stage) => `${STAGE_ICONS[job.stages[stage].status]} ${STAGE_LABELS[stage]}`).join(" · "),
+  ];
+  for (const stage of jobStages(job)) {
+    const { status, error, retryAt, attempts } = job.stages[stage];
+    if (status === "running" && job.progress) {
+      lines.push(formatProgress(job.progress));
+    } else if (status === "pending" && retryAt) {
+      const time = new Date(retryAt).toLocaleTimeString("it-IT", { hour: "2-digit", minute: "2-digit" });
+      lines.push(`🔁 ${STAGE_LABELS[stage]}: attempt ${attempts + 1} at ${time} (${error})`);
+    } else if (status === "failed") {
+      lines.push(`❌ ${STAGE_LABELS[stage]}: ${error}`);
+    }
+  }
+  if (job.cancelled) lines.push(`⏹️ ${job.cancelled}`);
+  return lines.join("\n");
+}
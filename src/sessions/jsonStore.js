@@ -0,0 +1,51 @@
+import { existsSync, readFileSync } from "fs";
+import { writeFile, rename } from "fs/promises";
+
+/**
+ * File JSON persistente con cache in memoria (registro sessioni, consensi, lore, job):
+ * le letture sono sincrone dalla cache, le scritture atomiche (file temporaneo + rename) e una alla volta.
+ * @param {string} path
+ * @param {Object} emptyShape - contenuto di un file nuovo, es. { version: 1, sessions: {} };
+ *   le altre chiavi vengono lette dal file se presenti, version resta quella corrente
+ * @param {{ label?: string, afterLoad?: (data: Object) => void }} [options]
+ *   - label: prefisso dei log ("Registry" → "[Registry] ...")
+ *   - afterLoad: chiamata una volta sui dati appena letti (es. per riaccodare il lavoro interrotto)
+ * @returns {{ load: () => Object, persist: () => Promise<void> }}
+ */
+export function createJsonStore(path, emptyShape, { label = "Store", afterLoad } = {}) {
+  let cache = null;
+  let writeQueue = Promise.resolve();
+
+  function load() {
+    if (cache) return cache;
+    cache = structuredClone(emptyShape);
+    if (existsSync(path)) {
+      try {
+        const data = JSON.parse(readFileSync(path, "utf-8"));
+        for (const key of Object.keys(emptyShape)) {
+          if (key !== "version" && data[key] != null) cache[key] = data[key];
+        }
+      } catch (err) {
+        console.error(`[${label}] Cannot read ${path}:`, err.message);
+      }
+    }
+    afterLoad?.(cache);
+    return cache;
+  }
+
+  function persist() {
+    const snapshot = JSON.stringify(load(), null, 2);
+    writeQueue = writeQueue
+      .then(async () => {
+        const tmpPath = `${path}.tmp`;
+        await writeFile(tmpPath, snapshot, "utf-8");
+        await rename(tmpPath, path);
+      })
+      .catch((err) => {
+        console.error(`[${label}] Write failed:`, err.message);
+      });
+    return writeQueue;
+  }
+
+  return { load, persist };
+}
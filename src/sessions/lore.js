@@ -0,0 +1,128 @@
+import config from "../config.js";
+import { createJsonStore } from "./jsonStore.js";
+import { entityKey, isSameEntity } from "../transcription/entities.js";
+
+/**
+ * Knowledge base della campagna, per guild (JSON in config.paths.lore, default lore.json):
+ * { version, guilds: { [guildId]: { entities: [{
+ *     id, type, name, aliases,
+ *     mentions: [{ sessionName, name, aliases, firstMention, description }] (una per sessione),
+ *     createdAt, updatedAt
+ * }] } } }
+ * Le entità estratte da ogni sessione (transcription/entities.js) vengono unite a quelle
+ * già note con lo stesso tipo e un nome o alias in comune. Rielaborare una sessione
+ * sostituisce le sue menzioni, senza duplicati.
+ */
+
+const LORE_VERSION = 1;
+
+const { load, persist } = createJsonStore(
+  config.paths.lore,
+  { version: LORE_VERSION, guilds: {} },
+  { label: "Lore" },
+);
+
+/** Id stabile e leggibile (valore dell'autocomplete di /lore): "npc:bertha", "npc:bertha-2"... */
+function createId(type, name, entities) {
+  const base = `${type}:${entityKey(name).replace(/\s+/g, "-") || "entity"}`.slice(0, 90);
+  let id = base;
+  for (let n = 2; entities.some((entity) => entity.id === id); n++) id = `${base}-${n}`;
+  return id;
+}
+
+/** Alias dell'entità: nomi e alias di tutte le menzioni, tranne il nome principale. */
+function collectAliases(entity) {
+  const seen = new Set([entityKey(entity.name)]);
+  const aliases = [];
+  for (const mention of entity.mentions) {
+    for (const alias of [mention.name, ...mention.aliases]) {
+      const key = entityKey(alias);
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+      aliases.push(alias);
+    }
+  }
+  return aliases;
+}
+
+/**
+ * Unisce le entità di una sessione alla knowledge base della guild.
+ * Le menzioni precedenti della stessa sessione vengono sostituite.
+ * @param {string} guildId
+ * @param {string} sessionName
+ * @param {Array<{ type: string, name: string, aliases: string[], firstMention: number | null, description: string }>} entities
+ * @returns {Promise<void>}
+ */
+export function mergeSessionEntities(guildId, sessionName, entities) {
+  const guilds = load().guilds;
+  guilds[guildId] ??= { entities: [] };
+  const now = new Date().toISOString();
+
+  // Via le menzioni della sessione (rielaborazione); le entità rimaste senza menzioni spariscono
+  let known = guilds[guildId].entities
+    .map((entity) => ({
+      ...entity,
+      mentions: entity.mentions.filter((mention) => mention.sessionName !== sessionName),
+    }))
+    .filter((entity) => entity.mentions.length > 0);
+
+  for (const { type, name, aliases, firstMention, description } of entities) {
+    const mention = { sessionName, name, aliases, firstMention, description };
+    const existing = known.find((entity) =>
+      isSameEntity({ ...entity, aliases: collectAliases(entity) }, { type, name, aliases }),
+    );
+    const sameSession = existing?.mentions.find((other) => other.sessionName === sessionName);
+    if (sameSession) {
+      // Due entità della sessione collegate dalla stessa voce: una sola menzione
+      sameSession.aliases = [...sameSession.aliases, name, ...aliases];
+      if (firstMention != null && !(sameSession.firstMention <= firstMention)) {
+        sameSession.firstMention = firstMention;
+      }
+      sameSession.description = [sameSession.description, description].filter(Boolean).join(" ");
+    } else if (existing) {
+      existing.mentions.push(mention);
+      existing.updatedAt = now;
+    } else {
+      known.push({
+        id: createId(type, name, known),
+        type,
+        name,
+        aliases: [],
+        mentions: [mention],
+        createdAt: now,
+        updatedAt: now,
+      });
+    }
+  }
+
+  for (const entity of known) entity.aliases = collectAliases(entity);
+  guilds[guildId].entities = known;
+  return persist();
+}
+
+/**
+ * Entità note della guild, in ordine alfabetico.
+ * @param {string} guildId
+ * @returns {Object[]} copie
+ */
+export function listLoreEntities(guildId) {
+  return (load().guilds[guildId]?.entities ?? [])
+    .map((entity) => structuredClone(entity))
+    .sort((a, b) => a.name.localeCompare(b.name, "it"));
+}
+
+/**
+ * Cerca un'entità per id (autocomplete di /lore), nome o alias.
+ * @param {string} guildId
+ * @param {string} query
+ * @returns {Object | null} copia
+ */
+export function findLoreEntity(guildId, query) {
+  const entities = load().guilds[guildId]?.entities ?? [];
+  const key = entityKey(query);
+  const entity =
+    entities.find((e) => e.id === query) ??
+    entities.find((e) => entityKey(e.name) === key) ??
+    entities.find((e) => e.aliases.some((alias) => entityKey(alias) === key));
+  return entity ? structuredClone(entity) : null;
+}
@@ -0,0 +1,584 @@
+import { AttachmentBuilder } from "discord.js";
+import { existsSync } from "fs";
+import { readFile } from "fs/promises";
+import { basename, join } from "path";
+import config from "../config.js";
+import {
+  transcribeAudio,
+  transcribeWithSpeakers,
+  stitchTranscriptParts,
+} from "../transcription/whisper.js";
+import { reviseTranscript, summarizeSession } from "../transcription/llmProcessor.js";
+import { exportSession } from "../transcription/exporter.js";
+import { getSegmentsPath } from "../transcription/utils/sessionSegments.js";
+import { addBookmarksToTranscript } from "../transcription/utils/markers.js";
+import { boundariesFromScenes } from "../transcription/utils/sceneAssignment.js";
+import { VoiceRecorder, getSpoolDir } from "../voice/recorder.js";
+import { getSession, updateSession, setStageStatus, setArtifacts } from "./registry.js";
+import {
+  JOB_STAGES,
+  enqueueJob,
+  startJobWorker,
+  listJobs,
+  formatJobStatus,
+  getRetryStage,
+} from "./jobs.js";
+import { findSessionArtifact, listSessions } from "./files.js";
+import { archiveSessionOutputs } from "./versions.js";
+
+/**
+ * Elaborazione di una registrazione come job in coda (sessions/jobs.js), una fase alla volta:
+ * decode (WAV dai pacchetti Opus), transcribe (Whisper per speaker), revise e summarize (LLM),
+ * publish (export e messaggio in #riassunti, thread o canale). Usata da /stop e da /recover;
+ * /reprocess accoda le fasi da transcribe, revise o summarize in poi con i dati già salvati.
+ * Ogni fase salva i suoi risultati in job.data, così dopo un riavvio il job riprende dalla fase interrotta.
+ */
+
+/**
+ * Accoda l'elaborazione di una registrazione.
+ * @param {string} sessionName
+ * @param {{ recorder?: import("../voice/recorder.js").VoiceRecorder, guildId: string, channelId: string, messageId?: string }} options
+ *   - recorder: quello di /stop (pacchetti in memoria); senza, o dopo un riavvio, l'audio viene ricostruito dallo spool
+ *   - channelId / messageId: canale dei risultati e messaggio di stato aggiornato a ogni fase
+ * @returns {Promise<Object>} il job
+ */
+export function enqueueRecording(sessionName, { recorder, guildId, channelId, messageId = null }) {
+  return enqueueJob({ sessionName, guildId, channelId, messageId }, { recorder });
+}
+
+/**
+ * Rielabora una sessione già registrata da una fase in poi, con modello e lingua diversi se indicati.
+ * Gli output che verranno riscritti sono prima copiati in una nuova versione (sessions/versions.js).
+ * @param {string} sessionName
+ * @param {{ from: "transcribe" | "revise" | "summarize", whisperModel?: string, language?: string, llmModel?: string, guildId: string, channelId: string, messageId?: string }} options
+ *   - whisperModel / language: override di WHISPER_MODEL / WHISPER_LANGUAGE per transcribe
+ *   - llmModel: altro modello del provider LLM per revise e summarize
+ * @returns {Promise<{ job: Object, version: number | null }>} il job e la versione in cui sono stati salvati gli output precedenti
+ * @throws {Error} se la sessione non è della guild, o mancano l'audio (da transcribe) o la trascrizione (da revise / summarize)
+ */
+export async function enqueueReprocess(
+  sessionName,
+  { from, whisperModel, language, llmModel, guildId, channelId, messageId = null },
+) {
+  if (!listSessions({ guildId }).some((session) => session.name === sessionName)) {
+    throw new Error(`Session ${sessionName} not found`);
+  }
+  const record = getSession(sessionName);
+  const reprocess = { from, whisperModel, language, llmModel };
+  const data = {
+    ...getSavedRecordingData(sessionName),
+    transcriptPath: record?.artifacts.txt ?? findSessionArtifact(sessionName, "txt"),
+    revisedPath: record?.artifacts.revised ?? findSessionArtifact(sessionName, "revised"),
+  };
+
+  if (from === "transcribe") {
+    const hasAudio =
+      Object.keys(data.userAudioFiles).length > 0 ||
+      data.parts.length > 0 ||
+      (data.audioFilePath && existsSync(data.audioFilePath));
+    if (!hasAudio) throw new Error(`No saved audio for ${sessionName}`);
+  } else if (!data.transcriptPath || !existsSync(data.transcriptPath)) {
+    throw new Error(`No transcript for ${sessionName}`);
+  }
+
+  const archived = await archiveSessionOutputs(sessionName, reprocess);
+  const job = await enqueueJob({
+    sessionName,
+    guildId,
+    channelId,
+    messageId,
+    stages: JOB_STAGES.slice(JOB_STAGES.indexOf(from)),
+    data: { ...data, reprocess: { ...reprocess, previousVersion: archived?.version ?? null } },
+  });
+  return { job, version: archived?.version ?? null };
+}
+
+/**
+ * Risultati di decode di una sessione conclusa: dall'ultimo job che li ha, altrimenti dal registro
+ * (WAV per utente di checkpoint e ultima parte, cercati con il nome con cui li salva il recorder,
+ * e speaking segments salvati da decode).
+ * @param {string} sessionName
+ */
+function getSavedRecordingData(sessionName) {
+  const previous = listJobs({ sessionName }).find((job) => job.data.userAudioFiles);
+  if (previous) {
+    const { userAudioFiles, audioFilePath, speakingSegments, masterUsername, parts, partName } =
+      previous.data;
+    return { userAudioFiles, audioFilePath, speakingSegments, masterUsername, parts, partName };
+  }
+
+  const record = getSession(sessionName);
+  const participants = record?.participants ?? {};
+  const savedSegments = record?.speakingSegments ?? {};
+  const toUserAudioFiles = (userAudio) =>
+    Object.fromEntries(
+      Object.entries(userAudio ?? {})
+        .filter(([, path]) => path && existsSync(path))
+        .map(([userId, path]) => [userId, { path, userName: participants[userId] ?? userId }]),
+    );
+  const findUserAudio = (baseName) =>
+    toUserAudioFiles(
+      Object.fromEntries(
+        Object.entries(participants).map(([userId, name]) => [
+          userId,
+          join(config.paths.recordings, `${baseName}_${name.replace(/[^a-zA-Z0-9]/g, "_")}.wav`),
+        ]),
+      ),
+    );
+
+  const parts = (record?.artifacts.parts ?? []).map((part) => ({
+    name: part.name,
+    userAudioFiles: toUserAudioFiles(part.userAudio),
+    speakingSegments: savedSegments[part.name] ?? [],
+  }));
+  const partName = parts.length > 0 ? `${sessionName}_checkpoint_${parts.length + 1}` : sessionName;
+  const registered = parts.length > 0 ? {} : toUserAudioFiles(record?.artifacts.userAudio);
+
+  return {
+    userAudioFiles: Object.keys(registered).length > 0 ? registered : findUserAudio(partName),
+    audioFilePath: record?.artifacts.audio ?? findSessionArtifact(sessionName, "audio"),
+    speakingSegments: savedSegments[partName] ?? [],
+    masterUsername: record?.master
+      ? (participants[record.master.userId] ?? record.master.displayName)
+      : undefined,
+    parts,
+    partName,
+  };
+}
+
+/**
+ * Avvia la coda dei job con le fasi della pipeline (all'avvio del bot).
+ * @param {import("discord.js").Client} client
+ */
+export function startPipelineWorker(client) {
+  startJobWorker(
+    {
+      decode: decodeRecording,
+      transcribe: transcribeRecording,
+      revise: reviseRecording,
+      summarize: summarizeRecording,
+      publish: (job) => publishRecording(client, job),
+    },
+    { onUpdate: (job) => updateJobMessage(client, job) },
+  );
+}
+
+/**
+ * decode: WAV per utente e misto. Con il recorder di /stop dai pacchetti in memoria,
+ * altrimenti dallo spool su disco (/recover, riavvio).
+ */
+async function decodeRecording({ sessionName }, { context }) {
+  const record = getSession(sessionName);
+  let recorder = context.recorder;
+  if (!recorder) {
+    if (!existsSync(join(getSpoolDir(sessionName), "spool.json"))) {
+      throw new Error(`No audio spool left for ${sessionName}`);
+    }
+    recorder = await VoiceRecorder.fromSpool(
+      sessionName,
+      record?.guildId ?? null,
+      record?.participants ?? {},
+    );
+    console.log(
+      `[Pipeline] ${sessionName}: ${recorder.mixer.getPacketCount()} packets recovered from spool`,
+    );
+    if (!record?.endedAt) {
+      const durationSeconds = Math.round(recorder.mixer.getLastPacketTime() / 1000);
+      await updateSession(sessionName, {
+        endedAt: new Date(recorder.mixer.startTime + durationSeconds * 1000).toISOString(),
+        durationSeconds,
+      });
+    }
+    await setStageStatus(sessionName, "recording", "done");
+  }
+
+  const userAudioFiles = await recorder.saveAllUserAudio(config.paths.recordings);
+  const parts = recorder.getParts();
+  const partName = recorder.getCurrentPartName();
+  const audioFilePath = await recorder.stop();
+  const speakingSegments = recorder.getSpeakingSegments();
+  // Le trascrizioni in background dei checkpoint restano in memoria per transcribe
+  context.parts = parts;
+  // Nel registro per /reprocess, quando il job non c'è più: senza segmenti si trascriverebbe un blocco per speaker
+  await updateSession(sessionName, {
+    speakingSegments: Object.fromEntries([
+      ...parts.map((part) => [part.name, part.speakingSegments]),
+      [partName, speakingSegments],
+    ]),
+  });
+
+  return {
+    userAudioFiles,
+    audioFilePath,
+    speakingSegments,
+    masterUsername:
+      record?.master?.userId != null ? recorder.getUserName(record.master.userId) : undefined,
+    parts: parts.map(({ name, userAudioFiles, speakingSegments }) => ({
+      name,
+      userAudioFiles,
+      speakingSegments,
+    })),
+    partName,
+  };
+}
+
+/** transcribe: Whisper per speaker (o sull'audio misto), checkpoint uniti, segnalibri inline. */
+async function transcribeRecording({ sessionName, data }, { context }) {
+  const { userAudioFiles, audioFilePath, speakingSegments, partName } = data;
+  const pauses = getSession(sessionName)?.pauses ?? [];
+  const whisperOptions = { model: data.reprocess?.whisperModel, language: data.reprocess?.language };
+  // Dopo un riavvio le trascrizioni dei checkpoint sono quelle rimaste su disco; /reprocess le rifà tutte
+  const parts =
+    context.parts ??
+    data.parts.map((part) => {
+      const partTranscript = join(config.paths.transcripts, `${part.name}.txt`);
+      const reuse = !data.reprocess && existsSync(partTranscript);
+      return { ...part, transcription: reuse ? partTranscript : null };
+    });
+
+  await setStageStatus(sessionName, "transcription", "running");
+
+  let transcriptPath;
+  if (parts.length > 0) {
+    transcriptPath = await transcribeParts(sessionName, {
+      parts,
+      partName,
+      userAudioFiles,
+      speakingSegments,
+      pauses,
+      whisperOptions,
+    });
+  } else if (Object.keys(userAudioFiles).length > 0) {
+    // Use per-speaker transcription with chronological order
+    transcriptPath = await transcribeWithSpeakers(
+      userAudioFiles,
+      sessionName,
+      speakingSegments,
+      { pauses, ...whisperOptions },
+    );
+  } else {
+    // Fallback to mixed audio transcription
+    transcriptPath = await transcribeAudio(audioFilePath, sessionName, { pauses, ...whisperOptions });
+  }
+
+  if (!transcriptPath || !existsSync(transcriptPath)) {
+    await setStageStatus(
+      sessionName,
+      "transcription",
+      "failed",
+      "Transcript file not created",
+    );
+    throw new Error("Transcript file not created");
+  }
+
+  // Segnalibri (/mark) inline nella trascrizione originale
+  await addBookmarksToTranscript(
+    transcriptPath,
+    getSession(sessionName)?.bookmarks ?? [],
+  );
+
+  await setArtifacts(sessionName, {
+    txt: transcriptPath,
+    segments: existsSync(getSegmentsPath(sessionName))
+      ? getSegmentsPath(sessionName)
+      : null,
+  });
+  await setStageStatus(sessionName, "transcription", "done");
+  return { transcriptPath };
+}
+
+/** revise: revisione LLM della trascrizione (annullabile con /cancel). */
+async function reviseRecording({ sessionName, data }, { signal, onProgress }) {
+  const { revisedPath } = await reviseTranscript(data.transcriptPath, sessionName, {
+    masterUsername: data.masterUsername,
+    model: data.reprocess?.llmModel,
+    signal,
+    onProgress,
+  });
+  return { revisedPath };
+}
+
+/** summarize: indice /search, entità e riassunto (per scena se ci sono /scene o scene rilevate). */
+async function summarizeRecording(job, { signal, onProgress }) {
+  const { sessionName, data } = job;
+  const { boundaries, titles } = boundariesFromScenes(getSession(sessionName)?.scenes);
+  const { summary, sceneBoundaries } = await summarizeSession(data.transcriptPath, sessionName, {
+    masterUsername: data.masterUsername,
+    sceneBoundaries: boundaries,
+    sceneTitles: titles,
+    // Senza /scene le scene sono rilevate anche dai silenzi di tutte le parti
+    speakingSegments: [
+      ...data.parts.flatMap((part) => part.speakingSegments ?? []),
+      ...(data.speakingSegments ?? []),
+    ],
+    // Con la revisione fallita il testo rivisto su disco è di un'elaborazione precedente
+    useRevised: isStageReady(job, "revise"),
+    model: data.reprocess?.llmModel,
+    signal,
+    onProgress,
+  });
+  if (!summary) throw new Error("Empty summary");
+  return { summary, sceneBoundaries };
+}
+
+/**
+ * publish: export (SRT, WebVTT, JSON) e risultati nel canale dei riassunti; senza, in un thread
+ * sotto il messaggio di stato o nel canale del job.
+ */
+async function publishRecording(client, job) {
+  const { sessionName, data } = job;
+  const channel = await client.channels.fetch(job.channelId).catch(() => null);
+  const guild = channel?.guild ?? (await client.guilds.fetch(job.guildId).catch(() => null));
+
+  if (!data.transcriptPath) {
+    if (!channel) throw new Error(`Channel ${job.channelId} not available`);
+    await channel.send({
+      content:
+        `⚠️ **Recording saved but transcription failed**\n` +
+        `Session: \`${sessionName}\`\n` +
+        (data.audioFilePath ? `Audio file: \`${data.audioFilePath}\`\n\n` : "\n") +
+        `You can manually transcribe the audio file later.`,
+    });
+    return {};
+  }
+
+  // Subtitles / structured export (SRT, WebVTT, JSON)
+  const record = getSession(sessionName);
+  const { boundaries, titles } = boundariesFromScenes(record?.scenes);
+  let exportPaths = null;
+  try {
+    exportPaths = await exportSession(sessionName, {
+      sceneBoundaries: boundaries.length ? boundaries : data.sceneBoundaries,
+      sceneTitles: titles,
+    });
+    if (exportPaths) {
+      await setArtifacts(sessionName, exportPaths);
+      await setStageStatus(sessionName, "export", "done");
+    }
+  } catch (err) {
+    console.warn("[Pipeline] Export failed:", err.message);
+    await setStageStatus(sessionName, "export", "failed", err.message);
+  }
+
+  const durationSeconds = record?.durationSeconds ?? 0;
+  const { content, files, summaryMsg } = await buildResultMessage(
+    sessionName,
+    {
+      transcriptPath: data.transcriptPath,
+      revisedPath: isStageReady(job, "revise") ? data.revisedPath : null,
+      summary: job.stages.summarize.status === "done" ? data.summary : null,
+      exportPaths,
+      cancelled: Boolean(job.cancelled),
+    },
+    { minutes: Math.floor(durationSeconds / 60), seconds: durationSeconds % 60 },
+  );
+
+  if (guild) await guild.channels.fetch().catch(() => null);
+  const summaryChannel = guild
+    ? getSummaryChannel(guild, config.discord?.summaryChannelName ?? "riassunti")
+    : null;
+  if (summaryChannel) {
+    await summaryChannel.send({ content: content.slice(0, 1900), files });
+    if (summaryMsg) await summaryChannel.send({ content: summaryMsg });
+    return { publishedIn: summaryChannel.id };
+  }
+
+  if (!channel) throw new Error(`Channel ${job.channelId} not available`);
+  try {
+    const message = await channel.messages.fetch(job.messageId);
+    const thread = await message.startThread({
+      name: safeThreadName(sessionName),
+      autoArchiveDuration: 60,
+    });
+    await thread.send({ content: content.slice(0, 1900), files });
+    if (summaryMsg) await thread.send({ content: summaryMsg });
+    return { publishedIn: thread.id };
+  } catch (threadErr) {
+    const code = threadErr.code ?? threadErr.body?.code;
+    console.warn(
+      "[Pipeline] Thread creation failed, falling back to channel:",
+      code ? `[${code}] ${threadErr.message}` : threadErr.message,
+    );
+    if (code === 50013) {
+      console.warn(
+        "[Pipeline] Hint: enable 'Create Public Threads' for the bot in this channel/server.",
+      );
+    }
+  }
+  await channel.send({ content: content.slice(0, 1900), files });
+  if (summaryMsg) await channel.send({ content: summaryMsg });
+  return { publishedIn: channel.id };
+}
+
+/**
+ * Output di una fase disponibile: fatta in questo job, o fuori dal job (/reprocess da revise o summarize:
+ * i file sono quelli già salvati).
+ */
+function isStageReady(job, stage) {
+  return !job.stages[stage] || job.stages[stage].status === "done";
+}
+
+/** Nome thread sicuro (max 100 caratteri, niente caratteri problematici). */
+function safeThreadName(sessionName) {
+  const name = `Transcript ${sessionName}`
+    .replace(/[^\p{L}\p{N}\s\-_]/gu, "")
+    .trim()
+    .slice(0, 100);
+  return name || "Transcript";
+}
+
+/**
+ * Testo del messaggio di stato di un job: durata, speaker, fasi e avanzamento.
+ * @param {Object} job - da getJob / listJobs
+ * @returns {string}
+ */
+export function formatJobMessage(job) {
+  const record = getSession(job.sessionName);
+  const lines = [`🎙️ Session \`${job.sessionName}\` · job \`#${job.id}\``];
+  if (record?.durationSeconds != null) {
+    const minutes = Math.floor(record.durationSeconds / 60);
+    lines.push(
+      `Duration: ${minutes}m ${record.durationSeconds % 60}s · ` +
+        `Speakers: ${Object.keys(record.participants ?? {}).length}`,
+    );
+  }
+  const { reprocess } = job.data;
+  if (reprocess) {
+    const overrides = [
+      reprocess.whisperModel && `Whisper ${reprocess.whisperModel}`,
+      reprocess.language && `language ${reprocess.language}`,
+      reprocess.llmModel && `LLM ${reprocess.llmModel}`,
+    ].filter(Boolean);
+    lines.push(
+      `🔁 Reprocessing from ${reprocess.from}` +
+        (overrides.length ? ` · ${overrides.join(" · ")}` : "") +
+        (reprocess.previousVersion ? ` · previous outputs kept as v${reprocess.previousVersion}` : ""),
+    );
+  }
+  lines.push("", formatJobStatus(job));
+
+  const active = job.status === "queued" || job.status === "running";
+  if (active && !job.cancelled) {
+    lines.push("", "Use `/cancel` to stop the processing and keep the original transcript.");
+  } else if (getRetryStage(job)) {
+    lines.push("", "Use `/jobs` to retry the failed stages.");
+  }
+  if (job.data.publishedIn) {
+    lines.push("", `📎 Transcript and summary sent to <#${job.data.publishedIn}>.`);
+  }
+  return lines.join("\n");
+}
+
+/** Aggiorna il messaggio di stato del job (best effort: il messaggio può essere stato eliminato). */
+async function updateJobMessage(client, job) {
+  if (!job.channelId || !job.messageId) return;
+  const channel = await client.channels.fetch(job.channelId).catch(() => null);
+  const message = await channel?.messages.fetch(job.messageId).catch(() => null);
+  await message?.edit({ content: formatJobMessage(job) }).catch(() => {});
+}
+
+/**
+ * Sessione con checkpoint: trascrive l'ultima parte, attende (o ripete) la trascrizione
+ * in background delle parti precedenti e le unisce in un'unica trascrizione continua.
+ * @returns {Promise<string>} path della trascrizione della sessione
+ */
+async function transcribeParts(
+  sessionName,
+  { parts, partName, userAudioFiles, speakingSegments, pauses, whisperOptions },
+) {
+  const partNames = [];
+
+  for (const part of parts) {
+    let partTranscript = await part.transcription;
+    if (!partTranscript && Object.keys(part.userAudioFiles).length > 0) {
+      console.warn(`[Pipeline] Retrying transcription of ${part.name}`);
+      partTranscript = await transcribeWithSpeakers(
+        part.userAudioFiles,
+        part.name,
+        part.speakingSegments,
+        whisperOptions,
+      ).catch((err) => {
+        console.error(`[Pipeline] ${part.name} transcription failed:`, err.message);
+        return null;
+      });
+    }
+    if (partTranscript) partNames.push(part.name);
+  }
+
+  if (Object.keys(userAudioFiles).length > 0) {
+    await transcribeWithSpeakers(userAudioFiles, partName, speakingSegments, whisperOptions);
+    partNames.push(partName);
+  }
+
+  return stitchTranscriptParts(partNames, sessionName, { pauses });
+}
+
+/**
+ * Messaggio dei risultati: testo con anteprima della rivista, allegati e riassunto.
+ * @param {string} sessionName
+ * @param {{ transcriptPath: string, revisedPath?: string, summary?: string, exportPaths?: Object, cancelled?: boolean }} result
+ * @param {{ minutes: number, seconds: number }} duration
+ * @returns {Promise<{ content: string, files: AttachmentBuilder[], summaryMsg: string | null }>}
+ */
+export async function buildResultMessage(
+  sessionName,
+  { transcriptPath, revisedPath, summary, exportPaths, cancelled },
+  { minutes, seconds },
+) {
+  const files = [];
+
+  // Original transcript
+  files.push(
+    new AttachmentBuilder(transcriptPath, {
+      name: `${sessionName}_original.txt`,
+    }),
+  );
+
+  // Revised transcript (if available)
+  let revisedPreview = "";
+  const hasRevised = revisedPath && existsSync(revisedPath);
+  if (hasRevised) {
+    files.push(
+      new AttachmentBuilder(revisedPath, {
+        name: `${sessionName}_revised.txt`,
+      }),
+    );
+
+    // Read revised for preview (primi 1200 char per lasciare spazio al riassunto)
+    const revisedContent = await readFile(revisedPath, "utf-8");
+    revisedPreview =
+      revisedContent.length > 1200
+        ? revisedContent.slice(0, 1200) + "\n\n... (truncated, see full file)"
+        : revisedContent;
+  }
+
+  for (const exportPath of Object.values(exportPaths ?? {})) {
+    files.push(new AttachmentBuilder(exportPath, { name: basename(exportPath) }));
+  }
+
+  const content = hasRevised
+    ? `Session: \`${sessionName}\` · Duration: ${minutes}m ${seconds}s\n\n` +
+      `📄 **Original** + 🤖 **Revised** (chunking, embedding, summary)\n\n` +
+      `**Preview (Revised):**\n\`\`\`\n${revisedPreview}\n\`\`\``
+    : `Session: \`${sessionName}\`\n\n` +
+      (cancelled
+        ? `⏹️ LLM processing cancelled, original transcript attached.`
+        : `⚠️ LLM processing failed, original transcript attached. Use \`/jobs\` to retry.`);
+
+  const summaryMsg = summary
+    ? `📋 **Riassunto** – \`${sessionName}\`\n\n${summary.length > 1950 ? summary.slice(0, 1950) + "\n..." : summary}`
+    : null;
+
+  return { content, files, summaryMsg };
+}
+
+/** Trova il canale testuale per i riassunti (es. #riassunti) nella guild. */
+export function getSummaryChannel(guild, channelName) {
+  if (!guild || !channelName) return null;
+  return guild.channels.cache.find(
+    (c) =>
+      c.name === channelName &&
+      c.isTextBased() &&
+      !c.isThread(),
+  ) ?? null;
+}
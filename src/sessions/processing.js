@@ -0,0 +1,91 @@
+/**
+ * Riassunti di /summary in corso (riassunti, entità, indice di /search), in memoria:
+ * /cancel li annulla tramite l'AbortSignal passato al provider. Le elaborazioni di /stop e /recover
+ * sono job in coda (sessions/jobs.js) e si annullano con cancelJob.
+ * Una sola elaborazione per sessione; dopo un riavvio del bot la lista è vuota.
+ */
+
+/** @type {Map<string, { sessionName: string, guildId: string | null, startedAt: number, progress: import("../transcription/llmProcessor.js").LLMProgress | null, controller: AbortController }>} */
+const running = new Map();
+
+/**
+ * Registra l'elaborazione di una sessione.
+ * @param {string} sessionName
+ * @param {{ guildId?: string | null }} [options]
+ * @returns {AbortSignal} da passare a summarizeTranscriptFile
+ * @throws {Error} se la sessione è già in elaborazione
+ */
+export function startProcessing(sessionName, { guildId = null } = {}) {
+  if (running.has(sessionName)) {
+    throw new Error(`Session ${sessionName} is already being processed`);
+  }
+  const controller = new AbortController();
+  running.set(sessionName, {
+    sessionName,
+    guildId,
+    startedAt: Date.now(),
+    progress: null,
+    controller,
+  });
+  return controller.signal;
+}
+
+/**
+ * @param {string} sessionName
+ * @param {import("../transcription/llmProcessor.js").LLMProgress} progress
+ */
+export function updateProcessingProgress(sessionName, progress) {
+  const job = running.get(sessionName);
+  if (job) job.progress = progress;
+}
+
+/** @param {string} sessionName */
+export function finishProcessing(sessionName) {
+  running.delete(sessionName);
+}
+
+/**
+ * Elaborazioni in corso, le più recenti prima.
+ * @param {string} [guildId] - solo quelle della guild
+ */
+export function listProcessing(guildId) {
+  return [...running.values()]
+    .filter((job) => !guildId || job.guildId === guildId)
+    .sort((a, b) => b.startedAt - a.startedAt);
+}
+
+/**
+ * Annulla l'elaborazione di una sessione: la chiamata LLM in corso si interrompe subito.
+ * @param {string} sessionName
+ * @param {Error} reason - diventa il messaggio d'errore della fase nel registro
+ * @returns {boolean} false se la sessione non è in elaborazione
+ */
+export function cancelProcessing(sessionName, reason) {
+  const job = running.get(sessionName);
+  if (!job || job.controller.signal.aborted) return false;
+  job.controller.abort(reason);
+  return true;
+}
+
+/**
+ * Riga di avanzamento per i messaggi dei job, di /summary e di /cancel.
+ * @param {import("../transcription/llmProcessor.js").LLMProgress | null} progress
+ * @returns {string}
+ */
+export function formatProgress(progress) {
+  const count = progress?.total ? ` ${progress.current}/${progress.total}` : "";
+  switch (progress?.stage) {
+    case "revision":
+      return `✏️ Revising chunk${count}…`;
+    case "index":
+      return "🔎 Indexing for /search…";
+    case "entities":
+      return `🧙 Extracting entities, chunk${count}…`;
+    case "summary":
+      return `📋 Summarizing chunk${count}…`;
+    case "final":
+      return "📋 Writing final summary…";
+    default:
+      return "⏳ Starting…";
+  }
+}
@@ -0,0 +1,146 @@
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+} from "discord.js";
+import { existsSync, readdirSync, rmSync } from "fs";
+import { join } from "path";
+import config from "../config.js";
+import { getSpoolDir } from "../voice/recorder.js";
+import { getSummaryChannel } from "./pipeline.js";
+import { getSession, setStageStatus } from "./registry.js";
+import { findActiveJob } from "./jobs.js";
+
+/**
+ * Recupero delle registrazioni interrotte (crash o riavvio del bot durante /start).
+ * Durante la registrazione i pacchetti Opus vengono scritti in recordings/<sessione>.spool/;
+ * /stop rimuove lo spool dopo aver salvato il WAV, quindi uno spool rimasto su disco
+ * è una sessione da finalizzare (job della pipeline: WAV dallo spool, trascrizione, LLM, export) o scartare.
+ * Gli spool con un job in coda non contano: il job li decodifica (anche dopo un riavvio).
+ * I bottoni "recover:finalize:<sessione>" / "recover:discard:<sessione>" sono gestiti da /recover.
+ */
+
+const SPOOL_SUFFIX = ".spool";
+
+/**
+ * Sessioni con uno spool su disco non ancora finalizzato.
+ * @param {{ guildId?: string, exclude?: Iterable<string> }} [filter] - exclude: sessioni ancora in registrazione
+ * @returns {Array<{ sessionName: string, record: Object | null, spoolDir: string }>}
+ */
+export function findUnfinishedSessions({ guildId, exclude = [] } = {}) {
+  if (!existsSync(config.paths.recordings)) return [];
+  const excluded = new Set(exclude);
+
+  return readdirSync(config.paths.recordings, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && entry.name.endsWith(SPOOL_SUFFIX))
+    .map((entry) => entry.name.slice(0, -SPOOL_SUFFIX.length))
+    .filter((sessionName) => !excluded.has(sessionName) && !findActiveJob(sessionName))
+    .filter((sessionName) => existsSync(join(getSpoolDir(sessionName), "spool.json")))
+    .map((sessionName) => ({
+      sessionName,
+      record: getSession(sessionName),
+      spoolDir: getSpoolDir(sessionName),
+    }))
+    .filter(({ record }) => !guildId || !record?.guildId || record.guildId === guildId);
+}
+
+/**
+ * Nomi delle sessioni che stanno registrando adesso (da non considerare interrotte).
+ * @param {import("discord.js").Client} client
+ */
+export function getActiveSessionNames(client) {
+  return [...client.recordingSessions.values()]
+    .filter((session) => session.recording && session.sessionName)
+    .map((session) => session.sessionName);
+}
+
+/**
+ * Elimina lo spool di una sessione interrotta senza elaborarla.
+ * @param {string} sessionName
+ */
+export async function discardRecoveredSession(sessionName) {
+  const spoolDir = getSpoolDir(sessionName);
+  if (existsSync(spoolDir)) rmSync(spoolDir, { recursive: true });
+  await setStageStatus(sessionName, "recording", "failed", "Interrupted recording discarded");
+}
+
+/**
+ * Messaggio con i bottoni Finalizza / Scarta per ogni sessione interrotta (max 5 righe di bottoni).
+ * @param {Array<{ sessionName: string, record: Object | null }>} sessions
+ */
+export function buildRecoveryPrompt(sessions) {
+  const lines = sessions.map(({ sessionName, record }) => {
+    const started = record?.startedAt
+      ? ` (iniziata ${new Date(record.startedAt).toLocaleString("it-IT")})`
+      : "";
+    return `• \`${sessionName}\`${started}`;
+  });
+
+  const components = sessions
+    .filter(({ sessionName }) => `recover:finalize:${sessionName}`.length <= 100)
+    .slice(0, 5)
+    .map(({ sessionName }) =>
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`recover:finalize:${sessionName}`)
+          .setLabel(`Finalizza ${sessionName}`.slice(0, 80))
+          .setStyle(ButtonStyle.Primary),
+        new ButtonBuilder()
+          .setCustomId(`recover:discard:${sessionName}`)
+          .setLabel("Scarta")
+          .setStyle(ButtonStyle.Danger),
+      ),
+    );
+
+  return {
+    content:
+      `⚠️ **Registrazioni interrotte trovate**\n` +
+      `${lines.join("\n")}\n\n` +
+      `L'audio è stato salvato su disco durante la registrazione: ` +
+      `finalizza per generare trascrizione e riassunto, oppure scarta.`,
+    components,
+  };
+}
+
+/**
+ * All'avvio: segnala le sessioni interrotte nel canale testuale dove era stato usato /start
+ * (o nel canale dei riassunti).
+ * @param {import("discord.js").Client} client
+ */
+export async function announceUnfinishedSessions(client) {
+  const unfinished = findUnfinishedSessions();
+  if (unfinished.length === 0) return;
+  console.log(`[Recovery] Found ${unfinished.length} interrupted recording(s)`);
+
+  // Raggruppa per canale di destinazione
+  const byChannel = new Map();
+  for (const session of unfinished) {
+    const channel = await resolveAnnounceChannel(client, session.record);
+    if (!channel) {
+      console.warn(`[Recovery] No channel to announce ${session.sessionName}, use /recover`);
+      continue;
+    }
+    if (!byChannel.has(channel.id)) byChannel.set(channel.id, { channel, sessions: [] });
+    byChannel.get(channel.id).sessions.push(session);
+  }
+
+  for (const { channel, sessions } of byChannel.values()) {
+    try {
+      await channel.send(buildRecoveryPrompt(sessions));
+    } catch (err) {
+      console.warn(`[Recovery] Cannot announce in #${channel.name}:`, err.message);
+    }
+  }
+}
+
+async function resolveAnnounceChannel(client, record) {
+  if (!record?.guildId) return null;
+  if (record.textChannelId) {
+    const channel = await client.channels.fetch(record.textChannelId).catch(() => null);
+    if (channel?.isTextBased()) return channel;
+  }
+  const guild = await client.guilds.fetch(record.guildId).catch(() => null);
+  if (!guild) return null;
+  await guild.channels.fetch().catch(() => null);
+  return getSummaryChannel(guild, config.discord?.summaryChannelName ?? "riassunti");
+}
@@ -0,0 +1,127 @@
+import config from "../config.js";
+import { createJsonStore } from "./jsonStore.js";
+
+/**
+ * Registro persistente delle sessioni (JSON in config.paths.sessionRegistry, default sessions.json).
+ * Un record per sessione:
+ * {
+ *   sessionName, guildId, channelId, channelName, textChannelId,
+ *   startedAt, endedAt, durationSeconds,
+ *   pauses: [{ start, end }] (ms dall'inizio, /pause e /resume),
+ *   bookmarks: [{ time, userId, userName, note }] (time in ms dall'inizio),
+ *   scenes: [{ start, title, userId, userName }] (start in ms dall'inizio, /scene),
+ *   participants: { [userId]: displayName },
+ *   master: { userId, displayName } | null,
+ *   artifacts: { audio, userAudio: { [userId]: path }, txt, segments, revised, summary, meta, embeddings, entities, srt, vtt, json,
+ *                parts: [{ name, audio, startTime, endTime, userAudio }] (checkpoint di sessioni lunghe) },
+ *   speakingSegments: { [partName]: [{ userId, userName, startTime, endTime }] } (per parte, salvati da decode per /reprocess),
+ *   stages: { [stage]: { status: "pending" | "running" | "done" | "failed", updatedAt, error? } },
+ *   versions: [{ version, archivedAt, reprocess: { from, whisperModel?, language?, llmModel? }, files: { [kind]: path } }] (output precedenti, /reprocess),
+ *   createdAt, updatedAt
+ * }
+ * Le letture sono sincrone (cache in memoria), le scritture serializzate su disco.
+ */
+
+const REGISTRY_VERSION = 1;
+
+/** Fasi della pipeline tracciate in stages. */
+export const STAGES = ["recording", "transcription", "revision", "summary", "export"];
+
+const { load, persist } = createJsonStore(
+  config.paths.sessionRegistry,
+  { version: REGISTRY_VERSION, sessions: {} },
+  { label: "Registry" },
+);
+
+function emptyRecord(sessionName) {
+  const now = new Date().toISOString();
+  return {
+    sessionName,
+    guildId: null,
+    channelId: null,
+    channelName: null,
+    textChannelId: null,
+    startedAt: null,
+    endedAt: null,
+    durationSeconds: null,
+    pauses: [],
+    bookmarks: [],
+    scenes: [],
+    participants: {},
+    master: null,
+    artifacts: { userAudio: {} },
+    stages: {},
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * @param {string} sessionName
+ * @returns {Object | null} record (copia) o null se la sessione non è registrata
+ */
+export function getSession(sessionName) {
+  const record = load().sessions[sessionName];
+  return record ? structuredClone(record) : null;
+}
+
+/**
+ * Sessioni registrate, dalla più recente (startedAt, poi createdAt).
+ * @param {{ guildId?: string }} [filter]
+ * @returns {Object[]}
+ */
+export function listRegisteredSessions({ guildId } = {}) {
+  return Object.values(load().sessions)
+    .filter((record) => !guildId || record.guildId === guildId)
+    .sort((a, b) => (b.startedAt ?? b.createdAt).localeCompare(a.startedAt ?? a.createdAt))
+    .map((record) => structuredClone(record));
+}
+
+/**
+ * Crea o aggiorna una sessione. participants, artifacts e stages vengono uniti, il resto sovrascritto.
+ * @param {string} sessionName
+ * @param {Object} patch
+ * @returns {Promise<void>}
+ */
+export function updateSession(sessionName, patch) {
+  const sessions = load().sessions;
+  const record = sessions[sessionName] ?? emptyRecord(sessionName);
+  const { participants, artifacts, stages, ...rest } = patch;
+
+  Object.assign(record, rest);
+  if (participants) Object.assign(record.participants, participants);
+  if (artifacts) {
+    const { userAudio, ...others } = artifacts;
+    Object.assign(record.artifacts, others);
+    if (userAudio) Object.assign(record.artifacts.userAudio, userAudio);
+  }
+  if (stages) Object.assign(record.stages, stages);
+  record.updatedAt = new Date().toISOString();
+
+  sessions[sessionName] = record;
+  return persist();
+}
+
+/**
+ * Aggiorna lo stato di una fase della pipeline.
+ * @param {string} sessionName
+ * @param {string} stage - uno di STAGES
+ * @param {"pending" | "running" | "done" | "failed"} status
+ * @param {string} [error]
+ * @returns {Promise<void>}
+ */
+export function setStageStatus(sessionName, stage, status, error) {
+  const entry = { status, updatedAt: new Date().toISOString() };
+  if (error) entry.error = error;
+  return updateSession(sessionName, { stages: { [stage]: entry } });
+}
+
+/**
+ * Registra il path di un artefatto (audio, txt, revised, summary, ...).
+ * @param {string} sessionName
+ * @param {Object} artifacts - es. { txt: "/path/session.txt" }
+ * @returns {Promise<void>}
+ */
+export function setArtifacts(sessionName, artifacts) {
+  return updateSession(sessionName, { artifacts });
+}
@@ -0,0 +1,213 @@
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+} from "discord.js";
+import config from "../config.js";
+import { formatConsentList } from "./consent.js";
+
+/**
+ * Pannello live della registrazione: è il messaggio di /start, aggiornato ogni
+ * config.discord.statusPanelIntervalSeconds con durata, chi parla, tempo di parola,
+ * pacchetti/memoria e stato dei checkpoint.
+ * Bottoni: consenso ("consent:in" / "consent:out", gestiti da /consent) e controlli
+ * ("status:pause" / "status:resume" / "status:stop" / "status:bookmark", gestiti da /status).
+ */
+
+const PART_STATUS_LABELS = {
+  saving: "salvataggio",
+  transcribing: "trascrizione in corso",
+  done: "trascritta",
+  failed: "fallita",
+};
+
+/** Durata leggibile: 1h 05m 12s, 12m 30s. */
+function formatElapsed(ms) {
+  const total = Math.floor(ms / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  return h > 0
+    ? `${h}h ${String(m).padStart(2, "0")}m ${String(s).padStart(2, "0")}s`
+    : `${m}m ${String(s).padStart(2, "0")}s`;
+}
+
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024
+    ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+    : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * Embed con lo stato della registrazione.
+ * @param {Object} session - sessione in client.recordingSessions
+ */
+export function buildStatusEmbed(session) {
+  const stats = session.recorder.getStats();
+  const ended = !session.recording;
+
+  const embed = new EmbedBuilder()
+    .setTitle(
+      ended
+        ? "⏹️ Registrazione terminata"
+        : stats.isPaused
+          ? "⏸️ Registrazione in pausa"
+          : "🔴 Registrazione in corso",
+    )
+    .setColor(ended ? 0x808080 : stats.isPaused ? 0xf1c40f : 0xe74c3c)
+    .addFields(
+      { name: "⏱️ Durata", value: formatElapsed(stats.elapsedMs), inline: true },
+      {
+        name: "🎙️ Parla ora",
+        value: stats.speakingNow.length ? stats.speakingNow.join(", ").slice(0, 1024) : "—",
+        inline: true,
+      },
+      {
+        name: "🎬 Scena",
+        value: stats.sceneTitle
+          ? `${stats.sceneTitle} (${stats.sceneCount}ª)`.slice(0, 1024)
+          : "— (usa `/scene`)",
+        inline: true,
+      },
+      {
+        name: "🗣️ Tempo di parola",
+        value: stats.speakingTime.length
+          ? stats.speakingTime
+              .slice(0, 15)
+              .map(({ userName, ms }) => `${userName}: ${formatElapsed(ms)}`)
+              .join("\n")
+              .slice(0, 1024)
+          : "—",
+      },
+      {
+        name: "💾 Audio in memoria",
+        value:
+          `${stats.packetCount.toLocaleString("it-IT")} pacchetti · ${formatBytes(stats.bufferedBytes)}` +
+          ` (processo: ${formatBytes(stats.rssBytes)})`,
+      },
+      {
+        name: "📦 Checkpoint",
+        value: [
+          `${stats.checkpointCount} salvati` +
+            (stats.nextCheckpointMs != null && !ended
+              ? ` · prossimo tra ${formatElapsed(stats.nextCheckpointMs)}`
+              : ""),
+          ...stats.parts.map(
+            ({ name, status }) => `\`${name}\`: ${PART_STATUS_LABELS[status] ?? status}`,
+          ),
+        ]
+          .join("\n")
+          .slice(0, 1024),
+      },
+    )
+    .setFooter({ text: `Session: ${session.sessionName} · 🔖 ${stats.bookmarkCount}` })
+    .setTimestamp();
+
+  return embed;
+}
+
+/**
+ * Messaggio completo di /start: elenco consensi, embed di stato e bottoni.
+ * @param {Object} session
+ */
+export function buildRecordingMessage(session) {
+  const { voiceChannel } = session;
+
+  if (!session.recording) {
+    return {
+      content: `⏹️ **Recording stopped** · Session: \`${session.sessionName}\``,
+      embeds: [buildStatusEmbed(session)],
+      components: [],
+    };
+  }
+
+  const consentRow = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId("consent:in")
+      .setLabel("Registrami")
+      .setEmoji("✅")
+      .setStyle(ButtonStyle.Success),
+    new ButtonBuilder()
+      .setCustomId("consent:out")
+      .setLabel("Non registrarmi")
+      .setEmoji("🚫")
+      .setStyle(ButtonStyle.Secondary),
+  );
+
+  const paused = session.recorder.isPaused;
+  const controlRow = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(paused ? "status:resume" : "status:pause")
+      .setLabel(paused ? "Riprendi" : "Pausa")
+      .setEmoji(paused ? "▶️" : "⏸️")
+      .setStyle(ButtonStyle.Primary),
+    new ButtonBuilder()
+      .setCustomId("status:stop")
+      .setLabel("Stop")
+      .setEmoji("⏹️")
+      .setStyle(ButtonStyle.Danger),
+    new ButtonBuilder()
+      .setCustomId("status:bookmark")
+      .setLabel("Segnalibro")
+      .setEmoji("🔖")
+      .setStyle(ButtonStyle.Secondary),
+  );
+
+  return {
+    content: `🔴 **Recording started** in **${voiceChannel.name}**\n` +
+      `Session: \`${session.sessionName}\`\n\n` +
+      `${formatConsentList(voiceChannel.guild.id, voiceChannel.members.values())}\n` +
+      `Use the buttons below or \`/consent\` to opt in or out.\n\n` +
+      `Use \`/stop\` (or the Stop button) to finish and generate transcription.`,
+    embeds: [buildStatusEmbed(session)],
+    components: [consentRow, controlRow],
+  };
+}
+
+/**
+ * Aggiorna periodicamente il messaggio del pannello. Usa message.edit (non il token
+ * dell'interazione, che scade dopo 15 minuti).
+ */
+export class StatusPanel {
+  constructor(session, message) {
+    this.session = session;
+    this.message = message;
+    this.timer = null;
+  }
+
+  start() {
+    const intervalMs = config.discord.statusPanelIntervalSeconds * 1000;
+    this.timer = setInterval(() => this.refresh(), intervalMs);
+  }
+
+  /** Ridisegna il pannello (anche subito dopo pausa, consenso, segnalibro). */
+  async refresh() {
+    try {
+      await this.message.edit(buildRecordingMessage(this.session));
+    } catch (err) {
+      console.warn("[StatusPanel] Update failed:", err.message);
+    }
+  }
+
+  /**
+   * Sposta il pannello su un nuovo messaggio (/status): il vecchio perde i bottoni.
+   * @param {import("discord.js").Message} message
+   */
+  async moveTo(message) {
+    const previous = this.message;
+    this.message = message;
+    await previous
+      .edit({ content: `📍 Pannello spostato: ${message.url}`, embeds: [], components: [] })
+      .catch(() => {});
+  }
+
+  /** Ultimo aggiornamento (registrazione terminata, senza bottoni) e stop del timer. */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await this.refresh();
+  }
+}
@@ -0,0 +1,168 @@
+import { existsSync, mkdirSync, readdirSync } from "fs";
+import { readFile, writeFile, stat } from "fs/promises";
+import { basename, extname, join } from "path";
+import { spawn } from "child_process";
+import { gzip } from "zlib";
+import { promisify } from "util";
+import config from "../config.js";
+
+const gzipAsync = promisify(gzip);
+
+/** Margine sotto il limite di Discord (overhead multipart). */
+const UPLOAD_SAFETY_RATIO = 0.95;
+/** Bitrate Opus (bit/s) usato per comprimere l'audio troppo grande. */
+const AUDIO_BITRATE = 32000;
+/** Max allegati per messaggio Discord. */
+const MAX_FILES_PER_MESSAGE = 10;
+
+const AUDIO_EXTENSIONS = new Set([".wav", ".ogg", ".opus", ".mp3"]);
+
+/** Limite per messaggio in byte (DISCORD_UPLOAD_LIMIT_MB, default 10). */
+export function getUploadLimitBytes() {
+  return Math.floor(config.discord.uploadLimitMb * 1024 * 1024 * UPLOAD_SAFETY_RATIO);
+}
+
+/**
+ * Rende un file caricabile su Discord: se supera il limite lo comprime,
+ * e se non basta lo divide in parti (testo per righe, audio per durata).
+ * @param {string} filePath
+ * @param {string} tmpDir - cartella per i file generati (creata se manca, da ripulire dal chiamante)
+ * @returns {Promise<string[]>} file da allegare, in ordine
+ */
+export async function prepareForUpload(filePath, tmpDir) {
+  const limit = getUploadLimitBytes();
+  const { size } = await stat(filePath);
+  if (size <= limit) return [filePath];
+
+  if (!existsSync(tmpDir)) mkdirSync(tmpDir, { recursive: true });
+
+  if (AUDIO_EXTENSIONS.has(extname(filePath).toLowerCase())) {
+    return prepareAudio(filePath, tmpDir, limit);
+  }
+  return prepareText(filePath, tmpDir, limit);
+}
+
+/**
+ * Divide una riga in pezzi di al più maxBytes byte UTF-8, senza spezzare i caratteri.
+ * @param {string} line
+ * @param {number} maxBytes
+ * @returns {string[]}
+ */
+function splitLineByBytes(line, maxBytes) {
+  const chunks = [];
+  let chunk = "";
+  let chunkSize = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char, "utf-8");
+    if (chunkSize + charSize > maxBytes && chunk) {
+      chunks.push(chunk);
+      chunk = "";
+      chunkSize = 0;
+    }
+    chunk += char;
+    chunkSize += charSize;
+  }
+  chunks.push(chunk);
+  return chunks;
+}
+
+/** Testo: gzip; se ancora troppo grande, parti .partN divise per riga (le righe oltre il limite a byte). */
+async function prepareText(filePath, tmpDir, limit) {
+  const content = await readFile(filePath);
+  const compressed = await gzipAsync(content);
+  if (compressed.length <= limit) {
+    const gzPath = join(tmpDir, `${basename(filePath)}.gz`);
+    await writeFile(gzPath, compressed);
+    return [gzPath];
+  }
+
+  const ext = extname(filePath);
+  const base = basename(filePath, ext);
+  const parts = [];
+  let current = [];
+  let currentSize = 0;
+  const lines = content
+    .toString("utf-8")
+    .split("\n")
+    .flatMap((line) =>
+      Buffer.byteLength(line, "utf-8") + 1 > limit ? splitLineByBytes(line, limit - 1) : [line],
+    );
+  for (const line of lines) {
+    const lineSize = Buffer.byteLength(line, "utf-8") + 1;
+    if (currentSize + lineSize > limit && current.length > 0) {
+      parts.push(current.join("\n"));
+      current = [];
+      currentSize = 0;
+    }
+    current.push(line);
+    currentSize += lineSize;
+  }
+  if (current.length > 0) parts.push(current.join("\n"));
+
+  const paths = [];
+  for (let i = 0; i < parts.length; i++) {
+    const partPath = join(tmpDir, `${base}.part${i + 1}${ext}`);
+    await writeFile(partPath, parts[i], "utf-8");
+    paths.push(partPath);
+  }
+  return paths;
+}
+
+/** Audio: Ogg/Opus a basso bitrate; se ancora troppo grande, segmenti di durata fissa. */
+async function prepareAudio(filePath, tmpDir, limit) {
+  const base = basename(filePath, extname(filePath));
+  const oggPath = join(tmpDir, `${base}.ogg`);
+  await runFfmpeg(["-y", "-i", filePath, "-c:a", "libopus", "-b:a", String(AUDIO_BITRATE), "-ac", "1", oggPath]);
+
+  const { size } = await stat(oggPath);
+  if (size <= limit) return [oggPath];
+
+  const segmentSeconds = Math.floor((limit * 8 * 0.9) / AUDIO_BITRATE);
+  const pattern = join(tmpDir, `${base}.part%03d.ogg`);
+  await runFfmpeg([
+    "-y", "-i", oggPath,
+    "-f", "segment", "-segment_time", String(segmentSeconds),
+    "-c", "copy", pattern,
+  ]);
+  return readdirSync(tmpDir)
+    .filter((f) => f.startsWith(`${base}.part`) && f.endsWith(".ogg"))
+    .sort()
+    .map((f) => join(tmpDir, f));
+}
+
+function runFfmpeg(args) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn("ffmpeg", args, { stdio: ["pipe", "pipe", "pipe"] });
+    let stderr = "";
+    proc.stderr.on("data", (d) => { stderr += d.toString(); });
+    proc.on("close", (code) => {
+      if (code === 0) resolve();
+      else reject(new Error(`ffmpeg failed: ${stderr.slice(-500)}`));
+    });
+    proc.on("error", (err) => reject(err));
+  });
+}
+
+/**
+ * Raggruppa i file in messaggi: max 10 allegati e dimensione totale entro il limite.
+ * @param {string[]} paths
+ * @returns {Promise<string[][]>}
+ */
+export async function groupForMessages(paths) {
+  const limit = getUploadLimitBytes();
+  const groups = [];
+  let current = [];
+  let currentSize = 0;
+  for (const p of paths) {
+    const { size } = await stat(p);
+    if (current.length > 0 && (current.length >= MAX_FILES_PER_MESSAGE || currentSize + size > limit)) {
+      groups.push(current);
+      current = [];
+      currentSize = 0;
+    }
+    current.push(p);
+    currentSize += size;
+  }
+  if (current.length > 0) groups.push(current);
+  return groups;
+}
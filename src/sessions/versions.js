@@ -0,0 +1,66 @@
+import { existsSync, mkdirSync } from "fs";
+import { copyFile } from "fs/promises";
+import { basename, join } from "path";
+import config from "../config.js";
+import { getSessionArtifactPaths } from "./files.js";
+import { getSession, updateSession } from "./registry.js";
+
+/**
+ * Versioni precedenti degli output di una sessione, salvate prima di /reprocess:
+ * i file che la nuova elaborazione riscrive vengono copiati in {VERSIONS_PATH}/{sessionName}/v{n}/
+ * e la versione è annotata nel registro (versions: [{ version, archivedAt, reprocess, files }]).
+ * I file correnti restano al loro posto finché la nuova elaborazione non li sovrascrive.
+ */
+
+/** Artefatti riscritti rielaborando da ogni fase (il riassunto sta in fondo a *_revised.txt). */
+const OUTPUTS_BY_STAGE = {
+  transcribe: ["txt", "segments", "revised", "embeddings", "entities", "srt", "vtt", "json"],
+  revise: ["revised", "embeddings", "entities"],
+  summarize: ["revised", "embeddings", "entities"],
+};
+
+/**
+ * Copia gli output correnti che /reprocess sta per riscrivere in una nuova versione.
+ * @param {string} sessionName
+ * @param {{ from: "transcribe" | "revise" | "summarize", whisperModel?: string, language?: string, llmModel?: string }} reprocess
+ *   - from: prima fase rielaborata; gli override sono quelli della nuova elaborazione
+ * @returns {Promise<{ version: number, dir: string, files: Object<string, string> } | null>} null se non c'era nulla da salvare
+ */
+export async function archiveSessionOutputs(sessionName, reprocess) {
+  const record = getSession(sessionName);
+  const conventions = getSessionArtifactPaths(sessionName);
+  const sources = Object.fromEntries(
+    OUTPUTS_BY_STAGE[reprocess.from].map((kind) => [kind, record?.artifacts[kind] ?? conventions[kind]]),
+  );
+  // Ritrascrivendo vengono riscritte anche le trascrizioni dei checkpoint
+  if (reprocess.from === "transcribe") {
+    for (const part of record?.artifacts.parts ?? []) {
+      const partPaths = getSessionArtifactPaths(part.name);
+      sources[`${part.name}.txt`] = partPaths.txt;
+      sources[`${part.name}.segments`] = partPaths.segments;
+    }
+  }
+
+  const existing = Object.entries(sources).filter(([, path]) => path && existsSync(path));
+  if (existing.length === 0) return null;
+
+  const versions = record?.versions ?? [];
+  const version = versions.length + 1;
+  const dir = join(config.paths.versions, sessionName, `v${version}`);
+  mkdirSync(dir, { recursive: true });
+
+  const files = {};
+  for (const [kind, path] of existing) {
+    files[kind] = join(dir, basename(path));
+    await copyFile(path, files[kind]);
+  }
+
+  await updateSession(sessionName, {
+    versions: [
+      ...versions,
+      { version, archivedAt: new Date().toISOString(), reprocess, files },
+    ],
+  });
+  console.log(`[Versions] ${sessionName}: ${existing.length} files saved as v${version}`);
+  return { version, dir, files };
+}
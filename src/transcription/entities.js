@@ -0,0 +1,249 @@
+import { writeFile } from "fs/promises";
+import { join } from "path";
+import config from "../config.js";
+import { generate } from "../llm/index.js";
+import { chunkTranscript, CHUNK_SIZE_CHARS, MAX_CHUNKS_DEV } from "./utils/chunking.js";
+import { parseTranscriptLine, parseTimestampToSeconds } from "./utils/sceneAssignment.js";
+
+/**
+ * Estrazione strutturata delle entità di una sessione (NPC, luoghi, oggetti, fazioni):
+ * un prompt JSON per chunk della trascrizione, poi le entità uguali vengono unite.
+ * Risultato in transcripts-revised/{sessionName}_entities.json, che alimenta la
+ * knowledge base della campagna (sessions/lore.js, /lore).
+ */
+
+const ENTITIES_VERSION = 1;
+
+/** Tipi di entità riconosciuti. */
+export const ENTITY_TYPES = ["npc", "place", "item", "faction"];
+
+/** Articoli iniziali ignorati nel confronto dei nomi ("La Torre Nera" = "Torre Nera"). */
+const RE_LEADING_ARTICLE = /^(il|lo|la|i|gli|le|l|un|uno|una|the)\s+/;
+
+/**
+ * @param {string} sessionName
+ * @returns {string} transcripts-revised/{sessionName}_entities.json
+ */
+export function getEntitiesPath(sessionName) {
+  return join(config.paths.transcriptsRevised, `${sessionName}_entities.json`);
+}
+
+/**
+ * Chiave di confronto di un nome: minuscolo, senza accenti, punteggiatura né articolo iniziale.
+ * @param {string} name
+ * @returns {string}
+ */
+export function entityKey(name) {
+  return (name || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+    .replace(RE_LEADING_ARTICLE, "");
+}
+
+/**
+ * Stessa entità: stesso tipo e almeno un nome o alias in comune.
+ * @param {{ type: string, name: string, aliases?: string[] }} a
+ * @param {{ type: string, name: string, aliases?: string[] }} b
+ * @returns {boolean}
+ */
+export function isSameEntity(a, b) {
+  if (a.type !== b.type) return false;
+  const keys = new Set([a.name, ...(a.aliases ?? [])].map(entityKey).filter(Boolean));
+  return [b.name, ...(b.aliases ?? [])].some((name) => keys.has(entityKey(name)));
+}
+
+/** Alias senza duplicati e senza il nome principale. */
+function uniqueAliases(name, aliases) {
+  const seen = new Set([entityKey(name)]);
+  const result = [];
+  for (const alias of aliases) {
+    const key = entityKey(alias);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    result.push(alias.trim());
+  }
+  return result;
+}
+
+/**
+ * Entità valide dalla risposta del modello: il primo array JSON nel testo,
+ * scartate le voci senza nome o con un tipo sconosciuto.
+ * @param {string} raw
+ * @returns {Array<{ type: string, name: string, aliases: string[], firstMention: number | null, description: string }>}
+ */
+export function parseEntities(raw) {
+  const start = (raw || "").indexOf("[");
+  const end = (raw || "").lastIndexOf("]");
+  if (start === -1 || end <= start) return [];
+
+  let items;
+  try {
+    items = JSON.parse(raw.slice(start, end + 1));
+  } catch {
+    return [];
+  }
+  if (!Array.isArray(items)) return [];
+
+  return items
+    .filter((item) => item && typeof item.name === "string" && item.name.trim())
+    .map((item) => {
+      const type = String(item.type ?? "").toLowerCase().trim();
+      const name = item.name.trim();
+      const firstMention = parseTimestampToSeconds(String(item.firstMention ?? ""));
+      return {
+        type,
+        name,
+        aliases: uniqueAliases(
+          name,
+          Array.isArray(item.aliases) ? item.aliases.filter((a) => typeof a === "string") : [],
+        ),
+        firstMention: Number.isFinite(firstMention) ? firstMention : null,
+        description: typeof item.description === "string" ? item.description.trim() : "",
+      };
+    })
+    .filter(({ type }) => ENTITY_TYPES.includes(type));
+}
+
+/**
+ * Unisce le entità uguali (isSameEntity): alias uniti, prima menzione più vecchia,
+ * descrizioni diverse accodate.
+ * @param {Array<{ type: string, name: string, aliases: string[], firstMention: number | null, description: string }>} entities
+ * @returns {Array<{ type: string, name: string, aliases: string[], firstMention: number | null, description: string }>}
+ */
+export function mergeEntities(entities) {
+  const merged = [];
+  for (const entity of entities) {
+    const existing = merged.find((other) => isSameEntity(other, entity));
+    if (!existing) {
+      merged.push({ ...entity, aliases: [...entity.aliases] });
+      continue;
+    }
+    existing.aliases = uniqueAliases(existing.name, [
+      ...existing.aliases,
+      entity.name,
+      ...entity.aliases,
+    ]);
+    if (
+      entity.firstMention != null &&
+      (existing.firstMention == null || entity.firstMention < existing.firstMention)
+    ) {
+      existing.firstMention = entity.firstMention;
+    }
+    if (entity.description && !existing.description.includes(entity.description)) {
+      existing.description = [existing.description, entity.description].filter(Boolean).join(" ");
+    }
+  }
+  return merged;
+}
+
+/**
+ * Prima riga della trascrizione che nomina l'entità (nome o alias), in secondi.
+ * Più affidabile del timestamp indicato dal modello, che resta come ripiego.
+ * @param {{ name: string, aliases: string[] }} entity
+ * @param {Array<{ startSeconds: number, text: string }>} lines
+ * @returns {number | null}
+ */
+function findFirstMention(entity, lines) {
+  const keys = [entity.name, ...entity.aliases].map(entityKey).filter(Boolean);
+  const line = lines.find(({ text }) => {
+    const words = ` ${entityKey(text)} `;
+    return keys.some((key) => words.includes(` ${key} `));
+  });
+  return line ? line.startSeconds : null;
+}
+
+function getEntitiesPrompt(chunk, masterLabel) {
+  return `Sei l'archivista di una campagna di D&D (Dungeons & Dragons). Dal segmento di trascrizione qui sotto estrai le entità del mondo di gioco.
+
+${masterLabel}
+
+TIPI:
+- "npc": personaggi non giocanti (non i personaggi dei giocatori, non il master)
+- "place": luoghi (città, regioni, edifici, dungeon)
+- "item": oggetti importanti (artefatti, loot, chiavi, documenti)
+- "faction": fazioni, gilde, culti, casate, organizzazioni
+
+REGOLE OBBLIGATORIE:
+- Solo entità nominate esplicitamente nel testo. NON inventare.
+- IGNORA regole, tiri di dado, statistiche e problemi tecnici (audio, microfono, connessione).
+- "aliases": altri nomi o titoli usati nel testo per la stessa entità (anche vuoto).
+- "firstMention": timestamp [MM:SS] (o [H:MM:SS]) della prima riga in cui compare.
+- "description": una o due frasi in italiano su cosa si scopre dell'entità in questo segmento.
+
+Rispondi SOLO con un array JSON, senza commenti. Esempio:
+[{"type": "npc", "name": "Bertha", "aliases": ["l'oste"], "firstMention": "12:05", "description": "Oste della Locanda del Grifone, conosce la strada per la torre."}]
+Se non ci sono entità rispondi [].
+
+SEGMENTO:
+${chunk}
+
+JSON:`;
+}
+
+/**
+ * Estrae le entità dal testo della trascrizione, chunk per chunk.
+ * I chunk in cui il modello fallisce o risponde senza JSON valido vengono saltati.
+ * @param {string} text - trascrizione [timestamp] speaker - linea (rivista o originale)
+ * @param {{ masterLabel?: string, model?: string, signal?: AbortSignal, onProgress?: (progress: { stage: "entities", current: number, total: number }) => void }} [options]
+ *   - masterLabel: istruzione sul master (getMasterLabel)
+ *   - model: altro modello del provider configurato
+ * @returns {Promise<Array<{ type: string, name: string, aliases: string[], firstMention: number | null, description: string }>>}
+ * @throws {Error} se signal viene annullato
+ */
+export async function extractEntities(text, { masterLabel = "", model, signal, onProgress } = {}) {
+  let chunks = chunkTranscript(text, CHUNK_SIZE_CHARS);
+  if (chunks.length > MAX_CHUNKS_DEV) chunks = chunks.slice(0, MAX_CHUNKS_DEV);
+
+  const found = [];
+  for (const [i, chunk] of chunks.entries()) {
+    onProgress?.({ stage: "entities", current: i + 1, total: chunks.length });
+    try {
+      const raw = await generate(getEntitiesPrompt(chunk, masterLabel), {
+        maxTokens: 1024,
+        model,
+        signal,
+      });
+      const entities = parseEntities(raw);
+      console.log(`[Entities] Chunk ${i + 1}/${chunks.length}: ${entities.length} entities`);
+      found.push(...entities);
+    } catch (err) {
+      signal?.throwIfAborted();
+      console.warn(`[Entities] Chunk ${i + 1}/${chunks.length} skipped:`, err.message);
+    }
+  }
+
+  const lines = (text || "")
+    .split(/\n/)
+    .map((line) => parseTranscriptLine(line))
+    .filter(Boolean);
+  return mergeEntities(found).map((entity) => ({
+    ...entity,
+    firstMention: findFirstMention(entity, lines) ?? entity.firstMention,
+  }));
+}
+
+/**
+ * Estrae e salva le entità di una sessione.
+ * @param {string} sessionName
+ * @param {string} text
+ * @param {{ masterLabel?: string, model?: string, signal?: AbortSignal, onProgress?: Function }} [options] - vedi extractEntities
+ * @returns {Promise<{ entitiesPath: string, entities: Array<{ type: string, name: string, aliases: string[], firstMention: number | null, description: string }> }>}
+ */
+export async function extractSessionEntities(sessionName, text, options = {}) {
+  const entities = await extractEntities(text, options);
+  const entitiesPath = getEntitiesPath(sessionName);
+  await writeFile(
+    entitiesPath,
+    JSON.stringify(
+      { version: ENTITIES_VERSION, sessionName, createdAt: new Date().toISOString(), entities },
+      null,
+      2,
+    ),
+    "utf-8",
+  );
+  console.log(`[Entities] ${entities.length} entities saved for ${sessionName}`);
+  return { entitiesPath, entities };
+}
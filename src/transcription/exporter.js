@@ -0,0 +1,62 @@
+import { writeFile } from "fs/promises";
+import { existsSync, mkdirSync } from "fs";
+import { join } from "path";
+import config from "../config.js";
+import { loadSessionSegments } from "./utils/sessionSegments.js";
+import { toSrt, toVtt, toJson } from "./utils/exportFormats.js";
+import { boundariesFromScenes } from "./utils/sceneAssignment.js";
+import { getSession } from "../sessions/registry.js";
+
+/**
+ * Path dei file di export di una sessione (exports/{sessionName}.srt|.vtt|.json).
+ * @param {string} sessionName
+ * @returns {{ srt: string, vtt: string, json: string }}
+ */
+export function getExportPaths(sessionName) {
+  return {
+    srt: join(config.paths.exports, `${sessionName}.srt`),
+    vtt: join(config.paths.exports, `${sessionName}.vtt`),
+    json: join(config.paths.exports, `${sessionName}.json`),
+  };
+}
+
+/**
+ * Genera (o rigenera) SRT, WebVTT e JSON di una sessione dai suoi segmenti e segnalibri.
+ * @param {string} sessionName
+ * @param {{ sceneBoundaries?: Array<{ start: number, end: number }>, sceneTitles?: Array<string | null>, bookmarks?: Array }} [options]
+ *   - bookmarks e scene (/scene): default dal registro
+ * @returns {Promise<{ srt: string, vtt: string, json: string } | null>} path dei file, null se non ci sono segmenti
+ */
+export async function exportSession(sessionName, options = {}) {
+  const segments = await loadSessionSegments(sessionName);
+  if (!segments?.length) {
+    console.warn(`[Export] No segments found for ${sessionName}`);
+    return null;
+  }
+
+  if (!existsSync(config.paths.exports)) {
+    mkdirSync(config.paths.exports, { recursive: true });
+  }
+
+  const record = getSession(sessionName);
+  const bookmarks = options.bookmarks ?? record?.bookmarks ?? [];
+  const scenes = options.sceneBoundaries
+    ? { boundaries: options.sceneBoundaries, titles: options.sceneTitles ?? [] }
+    : boundariesFromScenes(record?.scenes);
+  const paths = getExportPaths(sessionName);
+  await writeFile(paths.srt, toSrt(segments, { bookmarks }), "utf-8");
+  await writeFile(paths.vtt, toVtt(segments, { bookmarks }), "utf-8");
+  await writeFile(
+    paths.json,
+    toJson(segments, {
+      sessionName,
+      sceneBoundaries: scenes.boundaries,
+      sceneTitles: scenes.titles,
+      bookmarks,
+    }),
+    "utf-8",
+  );
+
+  console.log(`[Export] ${segments.length} segments exported for ${sessionName}`);
+  return paths;
+}
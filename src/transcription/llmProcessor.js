@@ -0,0 +1,611 @@
+import { writeFile, readFile } from "fs/promises";
+import { join } from "path";
+import { existsSync, mkdirSync } from "fs";
+import {
+  chunkTranscript,
+  chunkTranscriptByScene,
+  CHUNK_SIZE_CHARS,
+  MAX_CONTEXT_CHARS,
+  MAX_CHUNKS_DEV,
+} from "./utils/chunking.js";
+import { describeLLM, generate } from "../llm/index.js";
+import { normalizeTranscript } from "./utils/transcriptFormat.js";
+import { detectSceneBoundaries } from "./utils/sceneDetection.js";
+import { indexSession } from "./searchIndex.js";
+import { extractSessionEntities } from "./entities.js";
+import config from "../config.js";
+import {
+  boundariesFromEndTimes,
+  parseTimestampToSeconds,
+} from "./utils/sceneAssignment.js";
+import {
+  bookmarksInText,
+  formatBookmarkHints,
+  insertBookmarks,
+  isBookmarkLine,
+} from "./utils/markers.js";
+import {
+  getSession,
+  setStageStatus,
+  setArtifacts,
+} from "../sessions/registry.js";
+import { mergeSessionEntities } from "../sessions/lore.js";
+
+/**
+ * Avanzamento dell'elaborazione (onProgress), per il messaggio di /stop e /cancel.
+ * current / total: chunk in corso per revisione, entità e riassunti parziali.
+ * @typedef {{ stage: "revision" | "index" | "entities" | "summary" | "final", current?: number, total?: number }} LLMProgress
+ */
+
+/**
+ * Istruzione sul master/narratore per i prompt (usata anche da /ask).
+ * @param {string} [masterUsername]
+ * @returns {string}
+ */
+export function getMasterLabel(masterUsername) {
+  const name = masterUsername || process.env.MASTER_USERNAME;
+  return name
+    ? `Lo speaker "${name}" è il master (narratore). Le sue battute vanno considerate come voce del master/narratore (descrizioni, scene, NPC, regole), non come un personaggio giocante. Non associare mai questo speaker a un personaggio del party; trattalo sempre come narratore.`
+    : "Nella trascrizione c'è un master/narratore (DM): le sue battute sono descrizioni, scene, NPC e regole, non azioni di un personaggio. Trattalo sempre come narratore.";
+}
+
+/**
+ * Genera un riassunto del testo: se sta in contesto un solo prompt, altrimenti chunk → riassunti parziali → riassunto finale.
+ * @param {string} text
+ * @param {string} [masterUsername]
+ * @returns {Promise<string>}
+ */
+
+const getSummaryPrompt = async (text, masterUsername, hints = "", { signal, model } = {}) => {
+  try {
+    const sum = await generate(
+      `Estrai SOLO questi elementi dal segmento. ${masterUsername}
+- decisioni del party / piani (“facciamo X”)
+- eventi irreversibili (“si apre la porta”, “muore X”, “otteniamo Y”)
+- loot/oggetti importanti
+- informazioni di trama (NPC, fazioni, minacce) e crea un breve riassunto da queste informazioni
+
+REGOLE OBBLIGATORIE:
+- Usa i timestamp per orientarti nel testo.
+- IGNORA IL COMBATTIMENTO.
+- IGNORA COMPLETAMENTE le problematiche tecniche: microfono, audio, connessione, lag, “non si sente”, “si è disconnesso”, problemi di registrazione/streaming, ritardi, echo, rumori. Non citarle mai nel riassunto.
+- PREFERISCI USARE LE LINEE DEL MASTER/NARRATORE.
+- Le righe "--- 🔖 ... ---" sono segnalibri messi dal tavolo: indicano momenti importanti.
+${hints}
+\n\n${text}\n\nRiassunto:`,
+      { maxTokens: 512, signal, model },
+    );
+    return sum;
+  } catch (error) {
+    signal?.throwIfAborted();
+    console.error("[LLM] Error generating summary:", error.message);
+    return "";
+  }
+};
+
+const SCENE_INTERVAL_SECONDS = 4 * 60; // 4 minuti per scena
+
+/** Segnalibri della sessione: quelli passati nelle options, altrimenti dal registro. */
+function getBookmarks(sessionName, bookmarks) {
+  return bookmarks ?? getSession(sessionName)?.bookmarks ?? [];
+}
+
+/** Intestazione di una scena nei riassunti parziali: "Scena 2: Taverna" */
+function getSceneLabel(sceneId, sceneTitles) {
+  const title = sceneTitles?.[sceneId];
+  return title ? `Scena ${sceneId + 1}: ${title}` : `Scena ${sceneId + 1}`;
+}
+
+/**
+ * Con sceneBoundaries usa le scene fornite (es. /scene del master) al posto delle finestre fisse;
+ * con sceneTitles il riassunto è diviso per scena anche se il testo sta in un solo prompt.
+ * @param {string} text
+ * @param {string} [masterUsername]
+ * @param {{ bookmarks?: Array, sceneBoundaries?: Array<{ start: number, end: number }>, sceneTitles?: Array<string | null>, model?: string, signal?: AbortSignal, onProgress?: (progress: LLMProgress) => void }} [options]
+ * @returns {Promise<string>}
+ */
+async function generateSummary(text, masterUsername, options = {}) {
+  const { bookmarks = [], sceneBoundaries, sceneTitles, model, signal, onProgress } = options;
+  const trimmed = text.trim();
+  if (!trimmed) return "";
+  const masterLabel = getMasterLabel(masterUsername);
+  const namedScenes = Boolean(sceneBoundaries?.length && sceneTitles?.some(Boolean));
+
+  let maxTimestamp = 0;
+  for (const line of trimmed.split("\n")) {
+    const timestamp = line.split(" ")[0];
+    const sec = parseTimestampToSeconds(timestamp);
+    if (!Number.isNaN(sec) && sec > maxTimestamp) maxTimestamp = sec;
+  }
+
+  const boundaries = sceneBoundaries?.length ? sceneBoundaries : [];
+  if (!sceneBoundaries?.length) {
+    for (let t = 0; t < maxTimestamp; t += SCENE_INTERVAL_SECONDS) {
+      boundaries.push({ start: t, end: t + SCENE_INTERVAL_SECONDS });
+    }
+  }
+  if (boundaries.length === 0 && maxTimestamp > 0) {
+    boundaries.push({ start: 0, end: maxTimestamp + 1 });
+  }
+
+  console.log(boundaries);
+
+  if (trimmed.length <= MAX_CONTEXT_CHARS && !namedScenes) {
+    onProgress?.({ stage: "summary", current: 1, total: 1 });
+    return await getSummaryPrompt(
+      trimmed,
+      masterLabel,
+      formatBookmarkHints(bookmarks),
+      { signal, model },
+    );
+  }
+
+  const { chunks: sceneChunks, sceneIds } = chunkTranscriptByScene(
+    trimmed,
+    MAX_CONTEXT_CHARS,
+    boundaries,
+  );
+
+  console.log(sceneChunks.length);
+  let chunks = sceneChunks;
+  if (chunks.length > MAX_CHUNKS_DEV) {
+    chunks = chunks.slice(0, MAX_CHUNKS_DEV);
+    sceneIds.length = MAX_CHUNKS_DEV;
+    console.log(
+      `[LLM] Development: limiting to ${MAX_CHUNKS_DEV} summary chunks`,
+    );
+  }
+  const partialSummaries = [];
+
+  for (let i = 0; i < chunks.length; i++) {
+    console.log(`[LLM] Summary chunk ${i + 1}/${chunks.length}...`);
+    onProgress?.({ stage: "summary", current: i + 1, total: chunks.length });
+
+    console.log(chunks[i]);
+    const sum = await getSummaryPrompt(
+      chunks[i],
+      masterLabel,
+      formatBookmarkHints(bookmarksInText(bookmarks, chunks[i])),
+      { signal, model },
+    );
+
+    console.log(sum);
+    // Scene con titolo: un'intestazione per scena (le scene lunghe hanno più chunk)
+    if (namedScenes && sceneIds[i] !== sceneIds[i - 1]) {
+      partialSummaries.push(`### ${getSceneLabel(sceneIds[i], sceneTitles)}\n${sum}`);
+    } else {
+      partialSummaries.push(sum);
+    }
+  }
+
+  const combined = partialSummaries.join("\n\n");
+
+  return generateFinalSummary(combined, masterUsername, {
+    bookmarks,
+    byScene: namedScenes,
+    model,
+    signal,
+    onProgress,
+  });
+}
+
+/**
+ * @param {string} summary - riassunti parziali (con intestazioni "### Scena N: titolo" se byScene)
+ * @param {string} [masterUsername]
+ * @param {{ bookmarks?: Array, byScene?: boolean, model?: string, signal?: AbortSignal, onProgress?: (progress: LLMProgress) => void }} [options]
+ */
+async function generateFinalSummary(summary, masterUsername, options = {}) {
+  const { bookmarks = [], byScene = false, model, signal, onProgress } = options;
+  onProgress?.({ stage: "final" });
+  const masterLabel = getMasterLabel(masterUsername);
+  const hints = formatBookmarkHints(bookmarks);
+  const sceneRule = byScene
+    ? " Il riassunto è diviso in scene con le intestazioni \"### Scena N: titolo\": mantieni le scene, nello stesso ordine e con gli stessi titoli come intestazioni."
+    : "";
+  const prompt = `Leggi questo riassunto. ${masterLabel} Correggi gli errori di trascrizione e rendi il testo più leggibile e coerente in italiano. Agisci pensando -less is more-. Se qualcosa non ti torna, non ti sembra utile a chi lo legge, rimuovila. Elimina qualsiasi riferimento a problemi tecnici (microfono, audio, connessione, lag, disconnessioni, registrazione). Crea un racconto coerente con la trascrizione.${sceneRule} Massimo 1800 caratteri.${hints ? `\n\n${hints}` : ""}\n\nRIASSUNTO:\n${summary}\n\nRIASSUNTO FINALE:`;
+  return generate(prompt, { maxTokens: 1024, signal, model });
+}
+
+/**
+ * Esegue chunking + embedding + entità + riassunto su un testo già rivisto o grezzo.
+ * Se options.sceneBoundaries o options.sceneEndTimes sono forniti, i chunk e il riassunto sono costruiti per scena (s_k <= start < e_k);
+ * options.sceneTitles (uno per boundary, null = senza titolo) dà il riassunto diviso per scene con titolo.
+ * Senza scene fornite, con SCENE_AUTO_DETECT le scene sono rilevate da detectSceneBoundaries (options.speakingSegments in ms).
+ * @param {string} text
+ * @param {string} sessionName
+ * @param {{ masterUsername?: string, sceneBoundaries?: Array<{ start: number, end: number }>, sceneEndTimes?: number[], sceneTitles?: Array<string | null>, speakingSegments?: Array, bookmarks?: Array, model?: string, signal?: AbortSignal, onProgress?: (progress: LLMProgress) => void }} [options]
+ *   - model: altro modello del provider per entità e riassunto (/reprocess)
+ * @returns {Promise<{ summary: string | null, sceneBoundaries: Array<{ start: number, end: number }> | null }>}
+ * @throws {Error} solo se options.signal viene annullato (gli altri errori lasciano il passo senza risultato)
+ */
+async function chunkEmbedAndSummarize(text, sessionName, options = {}) {
+  const {
+    masterUsername,
+    sceneBoundaries,
+    sceneEndTimes,
+    sceneTitles,
+    speakingSegments,
+    bookmarks = [],
+    model,
+    signal,
+    onProgress,
+  } = options;
+  const revisedDir = config.paths.transcriptsRevised;
+
+  if (!existsSync(revisedDir)) {
+    mkdirSync(revisedDir, { recursive: true });
+  }
+
+  let boundaries =
+    sceneBoundaries ??
+    (sceneEndTimes?.length ? boundariesFromEndTimes(sceneEndTimes) : null);
+
+  if (!boundaries?.length && config.scenes.autoDetect) {
+    const detected = await detectSceneBoundaries(text, {
+      speakingSegments,
+      masterUsername,
+      signal,
+    });
+    boundaries = detected.boundaries.length ? detected.boundaries : null;
+    console.log(
+      `[LLM] Scenes detected: ${detected.boundaries.length}`,
+      detected.cuts.map(({ time, score, signals }) => `${time}s ${score.toFixed(2)} (${signals.join("+")})`),
+    );
+  }
+
+  let chunks;
+  let sceneIds = null;
+  if (boundaries?.length) {
+    const out = chunkTranscriptByScene(text, CHUNK_SIZE_CHARS, boundaries);
+    chunks = out.chunks;
+    sceneIds = out.sceneIds;
+    console.log(
+      `[LLM] Chunks by scene: ${chunks.length} (sceneIds: ${sceneIds.join(", ")})`,
+    );
+  } else {
+    chunks = chunkTranscript(text, CHUNK_SIZE_CHARS);
+  }
+
+  if (chunks.length > MAX_CHUNKS_DEV) {
+    chunks = chunks.slice(0, MAX_CHUNKS_DEV);
+    if (sceneIds) sceneIds = sceneIds.slice(0, MAX_CHUNKS_DEV);
+    console.log(`[LLM] Development: limiting to ${MAX_CHUNKS_DEV} chunks`);
+  }
+
+  console.log(
+    `[LLM] Chunks: ${chunks.length} (max ${CHUNK_SIZE_CHARS} chars)`,
+  );
+
+  // Indice vettoriale per /search: passaggi brevi del testo con i loro embedding
+  try {
+    onProgress?.({ stage: "index" });
+    const embeddingsPath = await indexSession(sessionName, text, { signal });
+    if (embeddingsPath) {
+      await setArtifacts(sessionName, { embeddings: embeddingsPath });
+    }
+  } catch (err) {
+    signal?.throwIfAborted();
+    console.warn("[LLM] Search index failed:", err.message);
+  }
+
+  // Entità (NPC, luoghi, oggetti, fazioni) → knowledge base della campagna per /lore
+  try {
+    const { entitiesPath, entities } = await extractSessionEntities(sessionName, text, {
+      masterLabel: getMasterLabel(masterUsername),
+      model,
+      signal,
+      onProgress,
+    });
+    await setArtifacts(sessionName, { entities: entitiesPath });
+    // Sessioni vecchie fuori dal registro: la guild configurata
+    const guildId = getSession(sessionName)?.guildId ?? config.discord.guildId;
+    if (guildId) await mergeSessionEntities(guildId, sessionName, entities);
+  } catch (err) {
+    signal?.throwIfAborted();
+    console.warn("[LLM] Entity extraction failed:", err.message);
+  }
+
+  console.log("[LLM] Generating summary...");
+  let summary = "";
+  try {
+    summary = await generateSummary(text, masterUsername, {
+      bookmarks,
+      sceneBoundaries: boundaries,
+      sceneTitles,
+      model,
+      signal,
+      onProgress,
+    });
+  } catch (err) {
+    signal?.throwIfAborted();
+    console.warn("[LLM] Summary failed:", err.message);
+  }
+
+  return { summary: summary || null, sceneBoundaries: boundaries };
+}
+
+const REVISED_SEPARATOR = "=".repeat(50);
+
+/**
+ * Divide un file *_revised.txt in intestazione e testo rivisto (senza il riassunto finale).
+ * @param {string} content
+ * @returns {{ header: string, body: string }}
+ */
+function splitRevisedFile(content) {
+  const headerEnd = content.indexOf(`${REVISED_SEPARATOR}\n\n`);
+  const bodyStart = headerEnd === -1 ? 0 : headerEnd + REVISED_SEPARATOR.length + 2;
+  const body = content.slice(bodyStart);
+  const summaryStart = body.indexOf(`\n\n${REVISED_SEPARATOR}\n\n## Riassunto`);
+  return {
+    header: content.slice(0, bodyStart),
+    body: summaryStart === -1 ? body : body.slice(0, summaryStart),
+  };
+}
+
+/**
+ * Revisione della trascrizione con il LLM configurato (LLM_PROVIDER), chunk per chunk.
+ * I segnalibri (/mark) restano fuori dalla revisione e vengono reinseriti nel testo rivisto.
+ * Scrive *_revised.txt (intestazione + testo; il riassunto lo aggiunge summarizeSession) e *_meta.json.
+ * I chunk falliti restano grezzi; se falliscono tutti la revisione è fallita.
+ * @param {string} transcriptPath - Path to the original transcript
+ * @param {string} sessionName - Name of the session
+ * @param {{ masterUsername?: string, bookmarks?: Array, model?: string, signal?: AbortSignal, onProgress?: (progress: LLMProgress) => void }} [options]
+ *   - bookmarks: default dal registro
+ *   - model: altro modello del provider configurato (/reprocess)
+ *   - signal: annulla la revisione (/cancel)
+ * @returns {Promise<{ revisedPath: string }>}
+ * @throws {Error} se nessun chunk è stato rivisto o se signal viene annullato (stato revision failed)
+ */
+export async function reviseTranscript(transcriptPath, sessionName, options = {}) {
+  const { masterUsername, model, signal, onProgress } = options;
+  const masterLabel = getMasterLabel(masterUsername);
+  const bookmarks = getBookmarks(sessionName, options.bookmarks);
+
+  const revisedDir = config.paths.transcriptsRevised;
+  if (!existsSync(revisedDir)) {
+    mkdirSync(revisedDir, { recursive: true });
+  }
+
+  // Persist master per /summary (sessioni già concluse)
+  const metaPath = join(revisedDir, `${sessionName}_meta.json`);
+  await writeFile(
+    metaPath,
+    JSON.stringify({ masterUsername: masterUsername || null }, null, 2),
+    "utf-8",
+  );
+  await setArtifacts(sessionName, { meta: metaPath });
+
+  const originalTranscript = (await readFile(transcriptPath, "utf-8"))
+    .split("\n")
+    .filter((line) => !isBookmarkLine(line))
+    .join("\n");
+  const chunkOriginalTranscript = chunkTranscript(
+    originalTranscript,
+    CHUNK_SIZE_CHARS,
+  );
+
+  let revisedTranscript = "";
+  let failedChunks = 0;
+  let lastError = null;
+
+  await setStageStatus(sessionName, "revision", "running");
+
+  for (const [i, chunk] of chunkOriginalTranscript.entries()) {
+    const originalChunk = normalizeTranscript(chunk);
+
+    console.log(`[LLM] Processing chunk ${i + 1}/${chunkOriginalTranscript.length} with ${describeLLM(model)}...`);
+    onProgress?.({ stage: "revision", current: i + 1, total: chunkOriginalTranscript.length });
+
+    try {
+      const prompt = `Sei un assistente che migliora le trascrizioni audio di sessioni di D&D (Dungeons & Dragons). È una sessione di gioco: il master descrive scene e NPC, i giocatori discutono e decidono.
+
+${masterLabel}
+
+Ecco una trascrizione automatica. Il testo potrebbe contenere errori di riconoscimento vocale, parole incomprensibili, o frasi spezzate.
+
+Il tuo compito è:
+1. Correggere errori evidenti di trascrizione (parole storpiate, errori di riconoscimento)
+2. Rendere le frasi più leggibili e coerenti in italiano corretto
+3. Mantenere il senso originale di quello che è stato detto
+4. Se una parte è davvero incomprensibile, segnalala con [incomprensibile]
+5. NON inventare contenuti che non sono presenti
+6. Rimuovi parole in altre lingue che sono chiaramente errori di riconoscimento
+7. NON creare contenuti che non sono presenti nella trascrizione originale
+8. Se una parola non è in italiano, rimuovila.
+
+FORMATO OUTPUT RICHIESTO (una riga per intervento):
+[timestamp] speaker - linea
+
+Esempio:
+[0:13] Speaker1 - Questo è il dungeon che avete fatto finora, dovete scegliere dove proseguire.
+[0:21] Speaker2 - Aspetta che controllo la mappa.
+
+TRASCRIZIONE ORIGINALE:
+${originalChunk}
+
+Rispondi SOLO con la trascrizione migliorata nel formato richiesto, senza commenti aggiuntivi.`;
+
+      // repeatPenalty al default di Ollama: la revisione ripete per forza nomi e formato
+      const revised = await generate(prompt, {
+        maxTokens: 4096,
+        temperature: 0.1,
+        repeatPenalty: 1.1,
+        model,
+        signal,
+      });
+      revisedTranscript += revised + "\n";
+    } catch (error) {
+      if (signal?.aborted) {
+        await setStageStatus(sessionName, "revision", "failed", error.message);
+        throw error;
+      }
+      console.error("[LLM] Error processing transcript:", error.message);
+      revisedTranscript += originalChunk;
+      failedChunks++;
+      lastError = error.message;
+    }
+  }
+
+  // Revisione fallita solo se nessun chunk è stato rivisto (il testo è tutto grezzo)
+  if (failedChunks === chunkOriginalTranscript.length) {
+    await setStageStatus(sessionName, "revision", "failed", lastError ?? "Empty transcript");
+    throw new Error(`Revision failed: ${lastError ?? "empty transcript"}`);
+  }
+
+  revisedTranscript = insertBookmarks(revisedTranscript, bookmarks);
+
+  let finalTranscript = `D&D Session Transcript (Revised by ${describeLLM(model)})\n`;
+  finalTranscript += `Original: ${sessionName}\n`;
+  finalTranscript += `Revised: ${new Date().toLocaleString()}\n`;
+  finalTranscript += `${REVISED_SEPARATOR}\n\n`;
+  finalTranscript += revisedTranscript;
+
+  const revisedPath = join(revisedDir, `${sessionName}_revised.txt`);
+  await writeFile(revisedPath, finalTranscript, "utf-8");
+  console.log(`[LLM] Revised transcript saved: ${revisedPath}`);
+
+  await setArtifacts(sessionName, { revised: revisedPath });
+  await setStageStatus(
+    sessionName,
+    "revision",
+    "done",
+    failedChunks > 0 ? `${failedChunks} chunk non rivisti: ${lastError}` : undefined,
+  );
+
+  return { revisedPath };
+}
+
+/**
+ * Indice per /search, entità per /lore e riassunto di una sessione, dal testo rivisto
+ * (o dalla trascrizione originale se la revisione manca). Il riassunto viene aggiunto in fondo a *_revised.txt.
+ * @param {string} transcriptPath - trascrizione originale
+ * @param {string} sessionName
+ * @param {{ masterUsername?: string, bookmarks?: Array, sceneBoundaries?: Array<{ start: number, end: number }>, sceneTitles?: Array<string | null>, speakingSegments?: Array, useRevised?: boolean, model?: string, signal?: AbortSignal, onProgress?: (progress: LLMProgress) => void }} [options]
+ *   - useRevised: false per ignorare un *_revised.txt rimasto da un'elaborazione precedente (revisione fallita)
+ *   - scene da /scene (vedi boundariesFromScenes), altrimenti rilevate (speakingSegments)
+ * @returns {Promise<{ summary: string | null, sceneBoundaries: Array<{ start: number, end: number }> | null }>}
+ * @throws {Error} signal.reason se annullata (stato summary failed)
+ */
+export async function summarizeSession(transcriptPath, sessionName, options = {}) {
+  const { useRevised = true, signal, onProgress } = options;
+  const bookmarks = getBookmarks(sessionName, options.bookmarks);
+  const revisedPath = join(config.paths.transcriptsRevised, `${sessionName}_revised.txt`);
+  const revised = useRevised && existsSync(revisedPath)
+    ? splitRevisedFile(await readFile(revisedPath, "utf-8"))
+    : null;
+
+  // Il testo originale ha già i segnalibri inline (addBookmarksToTranscript)
+  const text = revised
+    ? revised.body
+    : normalizeTranscript(await readFile(transcriptPath, "utf-8"));
+
+  await setStageStatus(sessionName, "summary", "running");
+  let result;
+  try {
+    result = await chunkEmbedAndSummarize(text, sessionName, {
+      masterUsername: options.masterUsername,
+      sceneBoundaries: options.sceneBoundaries,
+      sceneTitles: options.sceneTitles,
+      speakingSegments: options.speakingSegments,
+      bookmarks,
+      model: options.model,
+      signal,
+      onProgress,
+    });
+  } catch (error) {
+    await setStageStatus(sessionName, "summary", "failed", error.message);
+    throw error;
+  }
+
+  if (!result.summary) {
+    await setStageStatus(sessionName, "summary", "failed", "Empty summary");
+    return result;
+  }
+
+  // File finale: header + trascrizione + riassunto
+  if (revised) {
+    await writeFile(
+      revisedPath,
+      `${revised.header}${text}\n\n${REVISED_SEPARATOR}\n\n## Riassunto\n\n${result.summary}`,
+      "utf-8",
+    );
+  }
+  await setStageStatus(sessionName, "summary", "done");
+  return result;
+}
+
+/**
+ * Solo summary per una trascrizione esistente (vecchia registrazione).
+ * Non rifà la revisione, usa il testo così com'è.
+ * @param {string} transcriptPath
+ * @param {string} sessionName
+ * @param {{ masterUsername?: string, bookmarks?: Array, sceneBoundaries?: Array<{ start: number, end: number }>, sceneEndTimes?: number[], sceneTitles?: Array<string | null>, signal?: AbortSignal, onProgress?: (progress: LLMProgress) => void }} [options]
+ * @returns {Promise<{ summary: string | null, summaryPath: string | null }>}
+ * @throws {Error} signal.reason se annullata (stato summary failed)
+ */
+export async function summarizeTranscriptFile(
+  transcriptPath,
+  sessionName,
+  options = {},
+) {
+  const revisedDir = config.paths.transcriptsRevised;
+
+  if (!existsSync(revisedDir)) {
+    mkdirSync(revisedDir, { recursive: true });
+  }
+
+  let masterUsername = options.masterUsername;
+  if (masterUsername == null) {
+    try {
+      const metaPath = join(revisedDir, `${sessionName}_meta.json`);
+      if (existsSync(metaPath)) {
+        const meta = JSON.parse(await readFile(metaPath, "utf-8"));
+        masterUsername = meta.masterUsername || undefined;
+      }
+    } catch (_) {}
+  }
+
+  const bookmarks = getBookmarks(sessionName, options.bookmarks);
+
+  await setStageStatus(sessionName, "summary", "running");
+
+  try {
+    const rawText = await readFile(transcriptPath, "utf-8");
+    const text = normalizeTranscript(rawText);
+
+    const { summary } = await chunkEmbedAndSummarize(text, sessionName, {
+      masterUsername,
+      sceneBoundaries: options.sceneBoundaries,
+      sceneEndTimes: options.sceneEndTimes,
+      sceneTitles: options.sceneTitles,
+      bookmarks,
+      signal: options.signal,
+      onProgress: options.onProgress,
+    });
+    if (!summary) {
+      await setStageStatus(sessionName, "summary", "failed", "Empty summary");
+      return { summary: null, summaryPath: null };
+    }
+
+    const summaryPath = join(revisedDir, `${sessionName}_summary.txt`);
+    const finalSummary = await generateFinalSummary(summary, masterUsername, {
+      bookmarks,
+      byScene: Boolean(options.sceneTitles?.some(Boolean)),
+      signal: options.signal,
+      onProgress: options.onProgress,
+    });
+
+    await writeFile(summaryPath, finalSummary, "utf-8");
+    console.log(`[LLM] Summary file saved: ${summaryPath}`);
+
+    await setArtifacts(sessionName, { summary: summaryPath });
+    await setStageStatus(sessionName, "summary", "done");
+
+    return { summary: finalSummary, summaryPath };
+  } catch (error) {
+    console.error("[LLM] Error summarizing transcript:", error.message);
+    await setStageStatus(sessionName, "summary", "failed", error.message);
+    options.signal?.throwIfAborted();
+    return { summary: null, summaryPath: null };
+  }
+}
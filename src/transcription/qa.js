@@ -0,0 +1,138 @@
+import { readFile } from "fs/promises";
+import { findSessionArtifact, formatSessionLabel } from "../sessions/files.js";
+import { getSession } from "../sessions/registry.js";
+import { getMasterLabel } from "./llmProcessor.js";
+import { keywordSearch, searchSessions } from "./searchIndex.js";
+import { formatTimestamp } from "./utils/markers.js";
+import { generate } from "../llm/index.js";
+
+/**
+ * Domande sulla campagna (/ask): recupera i passaggi rilevanti dalle trascrizioni
+ * (indice di embedding, parole chiave per le sessioni non indicizzate o senza modello
+ * di embedding) e fa rispondere il modello (LLM_PROVIDER) solo da quei passaggi, con le citazioni.
+ */
+
+/** Passaggi dati come contesto al modello. */
+const CONTEXT_PASSAGES = 8;
+/** Quota minima di parole della domanda per un risultato per parola chiave. */
+const MIN_KEYWORD_SCORE = 0.5;
+
+/** Trascrizione da cui cercare per parola chiave: rivista se c'è, altrimenti originale. */
+async function loadTranscriptText(sessionName) {
+  const path =
+    findSessionArtifact(sessionName, "revised") ?? findSessionArtifact(sessionName, "txt");
+  return path ? readFile(path, "utf-8") : null;
+}
+
+/**
+ * Passaggi rilevanti per la domanda: embedding dove c'è l'indice, parole chiave per il resto.
+ * @param {string} question
+ * @param {string[]} sessionNames
+ * @returns {Promise<Array<{ sessionName: string, score: number, start: number, speakers: string[], lines: Array<{ time: number, speaker: string, text: string }> }>>}
+ */
+export async function retrievePassages(question, sessionNames) {
+  let results = [];
+  let indexed = [];
+  try {
+    const search = await searchSessions(question, sessionNames, {
+      limit: CONTEXT_PASSAGES,
+    });
+    results = search.results;
+    indexed = search.indexedSessions;
+  } catch (err) {
+    console.warn("[Ask] Embedding search unavailable, using keywords:", err.message);
+  }
+
+  const unindexed = sessionNames.filter((name) => !indexed.includes(name));
+  if (unindexed.length) {
+    const documents = [];
+    for (const sessionName of unindexed) {
+      const text = await loadTranscriptText(sessionName);
+      if (text) documents.push({ sessionName, text });
+    }
+    const keywordResults = keywordSearch(question, documents, {
+      limit: CONTEXT_PASSAGES,
+    }).filter(({ score }) => score >= MIN_KEYWORD_SCORE);
+    // Punteggi non confrontabili: i passaggi da embedding restano davanti
+    results = [...results, ...keywordResults].slice(0, CONTEXT_PASSAGES);
+  }
+
+  return results;
+}
+
+/**
+ * Risponde a una domanda usando i passaggi delle sessioni indicate.
+ * Le citazioni del modello ([P1], [P2]...) diventano [1], [2]... con le fonti in sources.
+ * @param {string} question
+ * @param {Array<{ name: string, date: Date }>} sessions - voci di listSessions()
+ * @returns {Promise<{ answer: string | null, sources: Array<{ ref: number, sessionName: string, label: string, time: number, speakers: string[] }> }>}
+ *   answer null se non ci sono passaggi rilevanti
+ */
+export async function answerQuestion(question, sessions) {
+  const passages = await retrievePassages(
+    question,
+    sessions.map((session) => session.name),
+  );
+  if (!passages.length) return { answer: null, sources: [] };
+
+  const labels = new Map(sessions.map((session) => [session.name, formatSessionLabel(session)]));
+
+  // Master di ogni sessione: le sue righe sono marcate "(master)" nel contesto
+  const masters = new Map();
+  for (const sessionName of new Set(passages.map((p) => p.sessionName))) {
+    const name = getSession(sessionName)?.master?.displayName;
+    if (name) masters.set(sessionName, name.trim().replace(/\s+/g, "_"));
+  }
+  const masterNames = [...new Set(masters.values())];
+  const masterLabel = getMasterLabel(masterNames.length === 1 ? masterNames[0] : undefined);
+
+  const context = passages
+    .map((passage, i) => {
+      const master = masters.get(passage.sessionName);
+      const lines = passage.lines.map(
+        (line) =>
+          `[${formatTimestamp(line.time * 1000)}] ${line.speaker}${line.speaker === master ? " (master)" : ""} - ${line.text}`,
+      );
+      return `[P${i + 1}] Sessione "${labels.get(passage.sessionName)}" · ${formatTimestamp(passage.start * 1000)}\n${lines.join("\n")}`;
+    })
+    .join("\n\n");
+
+  const prompt = `Sei l'archivista di una campagna di D&D (Dungeons & Dragons). Rispondi alla domanda usando SOLO i passaggi delle trascrizioni delle sessioni qui sotto.
+
+${masterLabel} Le righe marcate "(master)" sono del master.
+
+REGOLE OBBLIGATORIE:
+- Cita le fonti con l'etichetta del passaggio tra parentesi quadre dopo ogni affermazione, es. [P2].
+- Se i passaggi non contengono la risposta, dillo chiaramente. NON inventare.
+- Rispondi in italiano, in modo breve e diretto (massimo 1500 caratteri).
+
+PASSAGGI:
+${context}
+
+DOMANDA: ${question}
+
+RISPOSTA:`;
+
+  const raw = await generate(prompt, { maxTokens: 1024 });
+
+  // [P3] → [n], numerando le fonti nell'ordine in cui sono citate
+  const refs = new Map();
+  const answer = raw.replace(/\s*\[P(\d+)\]/g, (match, n) => {
+    const index = parseInt(n, 10) - 1;
+    if (!passages[index]) return "";
+    if (!refs.has(index)) refs.set(index, refs.size + 1);
+    return ` [${refs.get(index)}]`;
+  });
+
+  // Nessuna citazione: fonti = tutti i passaggi dati al modello
+  const cited = refs.size ? [...refs.keys()] : passages.map((_, i) => i);
+  const sources = cited.map((index, i) => ({
+    ref: refs.get(index) ?? i + 1,
+    sessionName: passages[index].sessionName,
+    label: labels.get(passages[index].sessionName),
+    time: passages[index].start,
+    speakers: passages[index].speakers,
+  }));
+
+  return { answer: answer.trim(), sources };
+}
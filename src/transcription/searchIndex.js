@@ -0,0 +1,204 @@
+import { existsSync, statSync } from "fs";
+import { readFile, writeFile } from "fs/promises";
+import { join } from "path";
+import config from "../config.js";
+import { cosineSimilarity, embed, getEmbedModel } from "../llm/index.js";
+import { parseTranscriptLine } from "./utils/sceneAssignment.js";
+
+/**
+ * Indice vettoriale locale per /search: per ogni sessione un file
+ * transcripts-revised/{sessionName}_embeddings.json con i passaggi della trascrizione
+ * (poche righe consecutive) e il loro embedding (provider LLM_EMBED_PROVIDER).
+ * La ricerca è un confronto coseno su tutti i passaggi delle sessioni richieste.
+ */
+
+const INDEX_VERSION = 1;
+/** Lunghezza indicativa di un passaggio (caratteri): abbastanza contesto, risultati ancora puntuali. */
+const PASSAGE_CHARS = 600;
+/** Un silenzio più lungo (s) chiude il passaggio. */
+const PASSAGE_MAX_GAP_SECONDS = 60;
+/** Passaggi per richiesta di embed. */
+const EMBED_BATCH_SIZE = 32;
+
+/** Indici già letti: path → { mtimeMs, index } */
+const cache = new Map();
+
+/**
+ * @param {string} sessionName
+ * @returns {string} transcripts-revised/{sessionName}_embeddings.json
+ */
+export function getEmbeddingsPath(sessionName) {
+  return join(config.paths.transcriptsRevised, `${sessionName}_embeddings.json`);
+}
+
+/**
+ * Raggruppa le righe [timestamp] speaker - linea in passaggi di ~PASSAGE_CHARS caratteri
+ * (le righe non standard, es. pause e segnalibri, sono ignorate).
+ * @param {string} text
+ * @returns {Array<{ start: number, speakers: string[], lines: Array<{ time: number, speaker: string, text: string }> }>}
+ */
+export function buildPassages(text) {
+  const lines = (text || "")
+    .split(/\n/)
+    .map((line) => parseTranscriptLine(line))
+    .filter((line) => line?.text.trim());
+
+  const passages = [];
+  let current = null;
+  let length = 0;
+  for (const { startSeconds, speaker, text: lineText } of lines) {
+    const last = current?.lines.at(-1);
+    if (
+      current &&
+      (length >= PASSAGE_CHARS || startSeconds - last.time > PASSAGE_MAX_GAP_SECONDS)
+    ) {
+      passages.push(current);
+      current = null;
+    }
+    if (!current) {
+      current = { start: startSeconds, speakers: [], lines: [] };
+      length = 0;
+    }
+    current.lines.push({ time: startSeconds, speaker, text: lineText });
+    if (!current.speakers.includes(speaker)) current.speakers.push(speaker);
+    length += lineText.length;
+  }
+  if (current) passages.push(current);
+  return passages;
+}
+
+/** Testo embeddato di un passaggio: "Speaker: testo" per riga. */
+function passageText(passage) {
+  return passage.lines.map((line) => `${line.speaker}: ${line.text}`).join("\n");
+}
+
+/**
+ * (Ri)costruisce l'indice di una sessione dal testo della trascrizione.
+ * @param {string} sessionName
+ * @param {string} text - trascrizione (rivista o originale)
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<string | null>} path dell'indice, null se non ci sono passaggi o l'embed non è disponibile
+ * @throws {Error} se signal viene annullato
+ */
+export async function indexSession(sessionName, text, { signal } = {}) {
+  const passages = buildPassages(text);
+  if (!passages.length) return null;
+
+  const embeddings = [];
+  for (let i = 0; i < passages.length; i += EMBED_BATCH_SIZE) {
+    const batch = passages.slice(i, i + EMBED_BATCH_SIZE).map(passageText);
+    const vectors = await embed(batch, { signal });
+    if (vectors.length !== batch.length) {
+      console.warn(`[Search] Index skipped for ${sessionName}: embeddings not available`);
+      return null;
+    }
+    embeddings.push(...vectors);
+  }
+
+  const indexPath = getEmbeddingsPath(sessionName);
+  const index = {
+    version: INDEX_VERSION,
+    sessionName,
+    model: getEmbedModel(),
+    createdAt: new Date().toISOString(),
+    passages: passages.map((passage, i) => ({ ...passage, embedding: embeddings[i] })),
+  };
+  await writeFile(indexPath, JSON.stringify(index), "utf-8");
+  console.log(`[Search] ${passages.length} passages indexed for ${sessionName}`);
+  return indexPath;
+}
+
+/**
+ * Indice di una sessione (con cache finché il file non cambia), null se non esiste.
+ * @param {string} sessionName
+ */
+async function loadIndex(sessionName) {
+  const indexPath = getEmbeddingsPath(sessionName);
+  if (!existsSync(indexPath)) return null;
+
+  const { mtimeMs } = statSync(indexPath);
+  const cached = cache.get(indexPath);
+  if (cached?.mtimeMs === mtimeMs) return cached.index;
+
+  try {
+    const index = JSON.parse(await readFile(indexPath, "utf-8"));
+    // Indici del vecchio formato (chunk del riassunto) o di un altro modello: non confrontabili
+    if (index.version !== INDEX_VERSION || !Array.isArray(index.passages)) return null;
+    cache.set(indexPath, { mtimeMs, index });
+    return index;
+  } catch (err) {
+    console.warn(`[Search] Unreadable index ${indexPath}:`, err.message);
+    return null;
+  }
+}
+
+/** Parole della ricerca per parola chiave: minuscole, senza accenti né parole brevi. */
+function keywords(text) {
+  return (text || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length > 3);
+}
+
+/**
+ * Ricerca per parola chiave (senza embedding): quota delle parole della domanda
+ * presenti nel passaggio, per le sessioni senza indice o senza modello di embedding.
+ * @param {string} query
+ * @param {Array<{ sessionName: string, text: string }>} documents - trascrizioni
+ * @param {{ limit?: number }} [options]
+ * @returns {Array<{ sessionName: string, score: number, start: number, speakers: string[], lines: Array<{ time: number, speaker: string, text: string }> }>}
+ */
+export function keywordSearch(query, documents, { limit = 5 } = {}) {
+  const terms = [...new Set(keywords(query))];
+  if (!terms.length) return [];
+
+  const results = [];
+  for (const { sessionName, text } of documents) {
+    for (const passage of buildPassages(text)) {
+      const words = new Set(keywords(passageText(passage)));
+      const matched = terms.filter((term) => words.has(term)).length;
+      if (matched > 0) {
+        results.push({ sessionName, score: matched / terms.length, ...passage });
+      }
+    }
+  }
+
+  results.sort((a, b) => b.score - a.score);
+  return results.slice(0, limit);
+}
+
+/**
+ * Passaggi più simili alla domanda tra le sessioni indicate.
+ * @param {string} query
+ * @param {string[]} sessionNames
+ * @param {{ limit?: number }} [options]
+ * @returns {Promise<{ results: Array<{ sessionName: string, score: number, start: number, speakers: string[], lines: Array<{ time: number, speaker: string, text: string }> }>, indexedCount: number, indexedSessions: string[] }>}
+ *   indexedSessions / indexedCount = sessioni con un indice utilizzabile
+ * @throws {Error} se non è possibile calcolare l'embedding della domanda
+ */
+export async function searchSessions(query, sessionNames, { limit = 5 } = {}) {
+  const [queryVector] = await embed([query]);
+  if (!queryVector) {
+    throw new Error(`Embedding model "${getEmbedModel()}" not available`);
+  }
+
+  const results = [];
+  const indexed = [];
+  for (const sessionName of sessionNames) {
+    const index = await loadIndex(sessionName);
+    if (!index || index.model !== getEmbedModel()) continue;
+    indexed.push(sessionName);
+    for (const { embedding, ...passage } of index.passages) {
+      results.push({ sessionName, score: cosineSimilarity(queryVector, embedding), ...passage });
+    }
+  }
+
+  results.sort((a, b) => b.score - a.score);
+  return {
+    results: results.slice(0, limit),
+    indexedCount: indexed.length,
+    indexedSessions: indexed,
+  };
+}
@@ -47,18 +47,18 @@ export function chunkTranscript(text, maxChunkSize = CHUNK_SIZE_CHARS) {
   for (const line of lines) {
     //valuable line chars = 80
     if (line.length < VALUABLE_LINE_CHARS) {
-      console.log(`[Ollama] Skipping line: ${line.length} chars`);
+      console.log(`[LLM] Skipping line: ${line.length} chars`);
       continue;
     }
 
     if (SKIPPABLE_WORDS.some((word) => line.includes(word))) {
       console.log(
-        `[Ollama] Skipping line: ${line}: it contains a skippable word`,
+        `[LLM] Skipping line: ${line}: it contains a skippable word`,
       );
       continue;
     }
 
-    console.log(`[Ollama] Line: ${line.length} chars`);
+    console.log(`[LLM] Line: ${line.length} chars`);
 
     const candidate = current.length ? current.join("\n") + "\n" + line : line;
 
@@ -74,7 +74,7 @@ export function chunkTranscript(text, maxChunkSize = CHUNK_SIZE_CHARS) {
   }
 
   console.log(
-    `[Ollama] Chunks Unlimited: ${chunks.length} (max ${maxChunkSize} chars)`,
+    `[LLM] Chunks Unlimited: ${chunks.length} (max ${maxChunkSize} chars)`,
   );
   return chunks.length ? chunks : [text];
 }
@@ -82,6 +82,7 @@ export function chunkTranscript(text, maxChunkSize = CHUNK_SIZE_CHARS) {
 /**
  * Chunk per scena: assegna ogni riga alla scena [s_k, e_k) che contiene il suo start,
  * poi spezza per scena senza tagliare righe (stessa logica di chunkTranscript).
+ * Una scena più lunga di maxChunkSize dà più chunk con lo stesso sceneId.
  * @param {string} text - trascrizione [timestamp] speaker - linea
  * @param {number} maxChunkSize
  * @param {Array<{ start: number, end: number }>} boundaries - confini in secondi, end esclusivo
@@ -114,8 +115,10 @@ export function chunkTranscriptByScene(text, maxChunkSize, boundaries) {
           !SKIPPABLE_WORDS.some((word) => line.includes(word)),
       );
     if (lines.length > 0) {
-      chunks.push(lines.join("\n"));
-      sceneIds.push(sceneId);
+      for (const chunk of chunkTranscript(lines.join("\n"), maxChunkSize)) {
+        chunks.push(chunk);
+        sceneIds.push(sceneId);
+      }
     }
   }
   return { chunks, sceneIds };
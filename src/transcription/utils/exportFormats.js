@@ -0,0 +1,145 @@
+import { getSceneIndex } from "./sceneAssignment.js";
+import { describeBookmark } from "./markers.js";
+
+/**
+ * Formati di export dei segmenti di sessione: SRT, WebVTT e JSON.
+ * Input: segmenti { speakerId, speakerName, start, end, text } con tempi in ms,
+ * più i segnalibri della sessione ({ time, userId, userName, note }, time in ms).
+ * Schema JSON documentato in docs/EXPORT.md.
+ */
+
+const EXPORT_SCHEMA_VERSION = 1;
+
+/**
+ * ms → "HH:MM:SS,mmm" (SRT) o "HH:MM:SS.mmm" (VTT)
+ * @param {number} ms
+ * @param {string} separator
+ * @returns {string}
+ */
+function formatCueTime(ms, separator) {
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  const millis = total % 1000;
+  const pad = (n, len = 2) => String(n).padStart(len, "0");
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(millis, 3)}`;
+}
+
+const BOOKMARK_CUE_MS = 3000;
+
+/** Una cue non può avere end <= start. */
+function cueEnd(segment) {
+  return segment.end > segment.start ? segment.end : segment.start + 1000;
+}
+
+/**
+ * Segmenti e segnalibri in un'unica lista di cue ordinata per start
+ * (a parità di start il segnalibro viene prima).
+ * @returns {Array<{ start: number, end: number, speaker: string | null, text: string }>}
+ */
+function buildCues(segments, bookmarks = []) {
+  const cues = [
+    ...bookmarks.map((bookmark) => ({
+      start: bookmark.time,
+      end: bookmark.time + BOOKMARK_CUE_MS,
+      speaker: null,
+      text: `🔖 ${describeBookmark(bookmark)}`,
+    })),
+    ...segments.map((segment) => ({
+      start: segment.start,
+      end: cueEnd(segment),
+      speaker: segment.speakerName,
+      text: segment.text,
+    })),
+  ];
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * SubRip: speaker come prefisso del testo, segnalibri come cue "🔖 Autore: nota".
+ * @param {Array} segments
+ * @param {{ bookmarks?: Array }} [options]
+ * @returns {string}
+ */
+export function toSrt(segments, { bookmarks } = {}) {
+  return buildCues(segments, bookmarks)
+    .map(
+      (cue, i) =>
+        `${i + 1}\n` +
+        `${formatCueTime(cue.start, ",")} --> ${formatCueTime(cue.end, ",")}\n` +
+        `${cue.speaker ? `${cue.speaker}: ` : ""}${cue.text}\n`,
+    )
+    .join("\n");
+}
+
+/**
+ * WebVTT: speaker come voice tag (<v Nome>), segnalibri senza voice tag.
+ * @param {Array} segments
+ * @param {{ bookmarks?: Array }} [options]
+ * @returns {string}
+ */
+export function toVtt(segments, { bookmarks } = {}) {
+  const cues = buildCues(segments, bookmarks).map(
+    (cue) =>
+      `${formatCueTime(cue.start, ".")} --> ${formatCueTime(cue.end, ".")}\n` +
+      `${cue.speaker ? `<v ${cue.speaker.replace(/>/g, "")}>` : ""}${cue.text}\n`,
+  );
+  return ["WEBVTT", "", ...cues].join("\n");
+}
+
+/**
+ * JSON con schema versionato (vedi docs/EXPORT.md). Tempi in secondi.
+ * sceneId è l'indice della scena [s_k, e_k) che contiene lo start, o null senza boundaries.
+ * @param {Array} segments
+ * @param {{ sessionName: string, sceneBoundaries?: Array<{ start: number, end: number }>, sceneTitles?: Array<string | null>, bookmarks?: Array }} meta
+ * @returns {string}
+ */
+export function toJson(
+  segments,
+  { sessionName, sceneBoundaries, sceneTitles = [], bookmarks = [] } = {},
+) {
+  const speakers = new Map();
+  for (const segment of segments) {
+    const key = segment.speakerId ?? segment.speakerName;
+    if (!speakers.has(key)) {
+      speakers.set(key, { id: segment.speakerId ?? null, displayName: segment.speakerName });
+    }
+  }
+
+  const toSeconds = (ms) => Math.round(ms) / 1000;
+  const payload = {
+    version: EXPORT_SCHEMA_VERSION,
+    session: sessionName,
+    generatedAt: new Date().toISOString(),
+    speakers: [...speakers.values()],
+    segments: segments.map((segment) => {
+      const sceneId = sceneBoundaries?.length
+        ? getSceneIndex(segment.start / 1000, sceneBoundaries)
+        : -1;
+      return {
+        speakerId: segment.speakerId ?? null,
+        displayName: segment.speakerName,
+        start: toSeconds(segment.start),
+        end: toSeconds(cueEnd(segment)),
+        text: segment.text,
+        sceneId: sceneId >= 0 ? sceneId : null,
+      };
+    }),
+    scenes: (sceneBoundaries ?? []).map((boundary, id) => ({
+      id,
+      title: sceneTitles[id] ?? null,
+      start: boundary.start,
+      end: Number.isFinite(boundary.end) ? boundary.end : null,
+    })),
+    bookmarks: bookmarks.map((bookmark) => ({
+      time: toSeconds(bookmark.time),
+      authorId: bookmark.userId ?? null,
+      author: bookmark.userName,
+      note: bookmark.note ?? null,
+    })),
+  };
+  return JSON.stringify(payload, null, 2);
+}
+
+export { EXPORT_SCHEMA_VERSION };
@@ -0,0 +1,131 @@
+import { readFile, writeFile } from "fs/promises";
+import { parseTimestampToSeconds } from "./sceneAssignment.js";
+
+/**
+ * Segnalibri della sessione (/mark e bottone del pannello), salvati nel registro come
+ * { time, userId, userName, note } con time in ms dall'inizio della sessione.
+ * Nelle trascrizioni diventano righe "[MM:SS] --- 🔖 Autore: nota ---": fuori dal formato
+ * [timestamp] speaker - linea, quindi parser, segmenti e scene le ignorano.
+ * @typedef {{ time: number, userId: string, userName: string, note: string | null }} Bookmark
+ */
+
+const RE_BOOKMARK_LINE = /^\[[^\]]+\]\s+---\s+🔖/;
+const RE_LEADING_TIMESTAMP = /^\[([^\]]+)\]/;
+
+/**
+ * ms → MM:SS (H:MM:SS oltre l'ora): unico formato dei timestamp di sessione, nelle righe
+ * della trascrizione come in chat (/mark, /scene) e nei risultati di /search, /ask e /lore.
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatTimestamp(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const h = Math.floor(totalSeconds / 3600);
+  const m = Math.floor((totalSeconds % 3600) / 60);
+  const s = totalSeconds % 60;
+  const mmss = `${String(m).padStart(2, "0")}:${String(s).padStart(2, "0")}`;
+  return h > 0 ? `${h}:${mmss}` : mmss;
+}
+
+/**
+ * Testo del segnalibro senza timestamp: "Autore: nota" (o solo l'autore).
+ * @param {Bookmark} bookmark
+ */
+export function describeBookmark({ userName, note }) {
+  return note ? `${userName}: ${note}` : `${userName}`;
+}
+
+/**
+ * @param {Bookmark} bookmark
+ * @returns {string} riga "[MM:SS] --- 🔖 Autore: nota ---"
+ */
+export function formatBookmarkLine(bookmark) {
+  return `[${formatTimestamp(bookmark.time)}] --- 🔖 ${describeBookmark(bookmark)} ---`;
+}
+
+/**
+ * @param {string} line
+ * @returns {boolean}
+ */
+export function isBookmarkLine(line) {
+  return RE_BOOKMARK_LINE.test(line.trim());
+}
+
+/**
+ * Inserisce le righe dei segnalibri nel testo, ognuna prima della prima riga
+ * con timestamp successivo (in fondo se non ce ne sono). Le righe segnalibro
+ * già presenti vengono sostituite, quindi si può riapplicare allo stesso testo.
+ * @param {string} text
+ * @param {Bookmark[]} bookmarks
+ * @returns {string}
+ */
+export function insertBookmarks(text, bookmarks = []) {
+  const lines = text.split("\n").filter((line) => !isBookmarkLine(line));
+  if (!bookmarks.length) return lines.join("\n");
+
+  const pending = [...bookmarks].sort((a, b) => a.time - b.time);
+  const output = [];
+  let lastTimestamped = -1;
+
+  for (const line of lines) {
+    const match = line.trim().match(RE_LEADING_TIMESTAMP);
+    const seconds = match ? parseTimestampToSeconds(match[1]) : NaN;
+    if (!Number.isNaN(seconds)) {
+      while (pending.length && pending[0].time < seconds * 1000) {
+        output.push(formatBookmarkLine(pending.shift()));
+      }
+      lastTimestamped = output.length;
+    }
+    output.push(line);
+  }
+
+  // Segnalibri dopo l'ultima riga: subito dopo di essa (prima di eventuali sezioni finali)
+  const rest = pending.map(formatBookmarkLine);
+  output.splice(lastTimestamped >= 0 ? lastTimestamped + 1 : output.length, 0, ...rest);
+  return output.join("\n");
+}
+
+/**
+ * Riscrive un file di trascrizione con i segnalibri inline.
+ * @param {string} transcriptPath
+ * @param {Bookmark[]} bookmarks
+ */
+export async function addBookmarksToTranscript(transcriptPath, bookmarks = []) {
+  if (!bookmarks.length) return;
+  const text = await readFile(transcriptPath, "utf-8");
+  await writeFile(transcriptPath, insertBookmarks(text, bookmarks), "utf-8");
+}
+
+/**
+ * Segnalibri che cadono nell'intervallo coperto dal testo (primo → ultimo timestamp, + 1 minuto).
+ * @param {Bookmark[]} bookmarks
+ * @param {string} text
+ * @returns {Bookmark[]}
+ */
+export function bookmarksInText(bookmarks = [], text) {
+  let first = Infinity;
+  let last = -Infinity;
+  for (const line of text.split("\n")) {
+    const match = line.trim().match(RE_LEADING_TIMESTAMP);
+    const seconds = match ? parseTimestampToSeconds(match[1]) : NaN;
+    if (Number.isNaN(seconds)) continue;
+    first = Math.min(first, seconds * 1000);
+    last = Math.max(last, seconds * 1000);
+  }
+  if (first === Infinity) return [];
+  return bookmarks.filter(({ time }) => time >= first && time <= last + 60000);
+}
+
+/**
+ * Suggerimento per i prompt di riassunto: i momenti segnati dal tavolo sono importanti.
+ * @param {Bookmark[]} bookmarks
+ * @returns {string} "" se non ci sono segnalibri
+ */
+export function formatBookmarkHints(bookmarks = []) {
+  if (!bookmarks.length) return "";
+  const lines = bookmarks.map((b) => `- [${formatTimestamp(b.time)}] ${describeBookmark(b)}`);
+  return (
+    `MOMENTI SEGNATI DAL TAVOLO (segnalibri): sono importanti, assicurati che il riassunto li includa se pertinenti.\n` +
+    `${lines.join("\n")}\n`
+  );
+}
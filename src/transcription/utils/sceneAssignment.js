@@ -140,6 +140,30 @@ export function boundariesFromEndTimes(endTimesSeconds) {
   return boundaries;
 }
 
+/**
+ * Crea boundaries [s_k, e_k) e titoli dalle scene aperte con /scene durante la registrazione.
+ * Ogni scena finisce dove inizia la successiva, l'ultima resta aperta (end = Infinity).
+ * Se la prima /scene non è all'inizio, il tratto precedente è una scena senza titolo.
+ * Es. scenes = [{ start: 120000, title: "Taverna" }] → [0,120) null, [120,∞) "Taverna"
+ * @param {Array<{ start: number, title: string }>} scenes - start in ms dall'inizio sessione
+ * @returns {{ boundaries: Array<{ start: number, end: number }>, titles: Array<string | null> }}
+ */
+export function boundariesFromScenes(scenes) {
+  if (!scenes?.length) return { boundaries: [], titles: [] };
+  const sorted = [...scenes].sort((a, b) => a.start - b.start);
+  const starts = sorted.map((scene) => scene.start / 1000);
+  const titles = sorted.map((scene) => scene.title ?? null);
+  if (starts[0] > 0) {
+    starts.unshift(0);
+    titles.unshift(null);
+  }
+  const boundaries = starts.map((start, k) => ({
+    start: k === 0 ? 0 : start,
+    end: starts[k + 1] ?? Infinity,
+  }));
+  return { boundaries, titles };
+}
+
 /**
  * Assegna ogni riga della trascrizione alla scena che contiene il suo start.
  * Formato riga: [timestamp] speaker - linea (come da transcriptFormat).
@@ -166,6 +190,6 @@ export function assignTranscriptToScenes(transcriptText, boundaries) {
     });
   }
 
-  console.log(`[Ollama] Assigned ${result.length} lines to scenes`);
+  console.log(`[Scenes] Assigned ${result.length} lines to scenes`);
   return result;
 }
@@ -0,0 +1,224 @@
+import config from "../../config.js";
+import { cosineSimilarity, embed } from "../../llm/index.js";
+import { parseTranscriptLine } from "./sceneAssignment.js";
+import { segmentsFromTranscript } from "./sessionSegments.js";
+
+/**
+ * Segmentazione automatica in scene quando il master non usa /scene.
+ * Tre segnali, ognuno produce tagli candidati con un punteggio (0..1):
+ * - silenzio: pause lunghe tra gli speaking segments (nessuno parla per SCENE_SILENCE_SECONDS);
+ * - narrazione: il master riprende a narrare dopo un tratto di chiacchiere dei giocatori;
+ * - argomento: bassa similarità tra gli embedding di finestre adiacenti (embed).
+ * I candidati vicini vengono uniti sommando i segnali; si tagliano quelli con punteggio
+ * sufficiente, con scene lunghe almeno SCENE_MIN_SECONDS. Output: boundaries [s_k, e_k)
+ * in secondi, come quelli di /scene, per chunkTranscriptByScene.
+ */
+
+/** Finestra (s) prima/dopo l'inizio di un blocco del master per misurare quanto narra. */
+const NARRATION_WINDOW_SECONDS = 90;
+/** Variazione minima della quota di testo del master tra prima e dopo. */
+const NARRATION_MIN_SHIFT = 0.4;
+/** Durata (s) delle finestre confrontate con gli embedding. */
+const TOPIC_WINDOW_SECONDS = 120;
+/** Candidati più vicini di così (s) sono lo stesso taglio. */
+const MERGE_SECONDS = 60;
+/** Punteggio minimo di un taglio: un segnale forte o due deboli. */
+const MIN_CUT_SCORE = 1;
+
+/** Nome confrontabile con lo speaker della trascrizione (spazi → "_", minuscolo). */
+function speakerKey(name) {
+  return (name ?? "").trim().replace(/\s+/g, "_").toLowerCase();
+}
+
+/**
+ * Silenzi: intervalli di parlato uniti, ogni buco >= silenceSeconds è un candidato
+ * alla ripresa del parlato (0.5 alla soglia, 1 da 4 volte la soglia in su).
+ * @param {Array<{ start: number, end: number }>} intervals - ms
+ */
+function silenceCandidates(intervals, silenceSeconds) {
+  const sorted = [...intervals].sort((a, b) => a.start - b.start);
+  const candidates = [];
+  let coveredUntil = null;
+  for (const { start, end } of sorted) {
+    if (coveredUntil != null) {
+      const gapSeconds = (start - coveredUntil) / 1000;
+      if (gapSeconds >= silenceSeconds) {
+        candidates.push({
+          time: start / 1000,
+          score: 0.5 + 0.5 * Math.min(1, (gapSeconds - silenceSeconds) / (3 * silenceSeconds)),
+          signal: "silence",
+        });
+      }
+    }
+    coveredUntil = coveredUntil == null ? end : Math.max(coveredUntil, end);
+  }
+  return candidates;
+}
+
+/**
+ * Narrazione: all'inizio di ogni blocco del master confronta la quota di testo del master
+ * nella finestra prima e in quella dopo; un salto da chiacchiere a narrazione è un candidato.
+ * @param {Array<{ startSeconds: number, speaker: string, text: string }>} lines
+ */
+function narrationCandidates(lines, masterUsername) {
+  const master = speakerKey(masterUsername);
+  if (!master) return [];
+
+  const isMaster = (line) => speakerKey(line.speaker) === master;
+  const masterShare = (from, to) => {
+    let masterChars = 0;
+    let totalChars = 0;
+    for (const line of lines) {
+      if (line.startSeconds < from || line.startSeconds >= to) continue;
+      totalChars += line.text.length;
+      if (isMaster(line)) masterChars += line.text.length;
+    }
+    return totalChars ? masterChars / totalChars : null;
+  };
+
+  const candidates = [];
+  for (let i = 1; i < lines.length; i++) {
+    if (!isMaster(lines[i]) || isMaster(lines[i - 1])) continue;
+    const t = lines[i].startSeconds;
+    // Nessuno che parla prima (es. dopo una pausa) conta come zero narrazione
+    const before = masterShare(t - NARRATION_WINDOW_SECONDS, t) ?? 0;
+    const after = masterShare(t, t + NARRATION_WINDOW_SECONDS);
+    if (after == null) continue;
+    const shift = after - before;
+    if (shift >= NARRATION_MIN_SHIFT) {
+      candidates.push({ time: t, score: Math.min(1, shift), signal: "narration" });
+    }
+  }
+  return candidates;
+}
+
+/**
+ * Argomento: finestre di TOPIC_WINDOW_SECONDS, embedding del provider configurato; una similarità tra
+ * finestre adiacenti sotto (media - deviazione standard) è un candidato all'inizio della seconda.
+ * Senza modello di embedding (embed → []) il segnale viene saltato.
+ * @param {Array<{ startSeconds: number, speaker: string, text: string }>} lines
+ * @param {AbortSignal} [signal]
+ */
+async function topicCandidates(lines, signal) {
+  const windows = new Map();
+  for (const line of lines) {
+    const index = Math.floor(line.startSeconds / TOPIC_WINDOW_SECONDS);
+    if (!windows.has(index)) windows.set(index, { start: line.startSeconds, lines: [] });
+    windows.get(index).lines.push(`${line.speaker}: ${line.text}`);
+  }
+  const ordered = [...windows.values()];
+  if (ordered.length < 3) return [];
+
+  const embeddings = await embed(ordered.map((w) => w.lines.join("\n")), { signal });
+  if (embeddings.length !== ordered.length) return [];
+
+  const similarities = [];
+  for (let i = 1; i < embeddings.length; i++) {
+    similarities.push(cosineSimilarity(embeddings[i - 1], embeddings[i]));
+  }
+  const mean = similarities.reduce((sum, s) => sum + s, 0) / similarities.length;
+  const std = Math.sqrt(
+    similarities.reduce((sum, s) => sum + (s - mean) ** 2, 0) / similarities.length,
+  );
+  if (!std) return [];
+
+  const candidates = [];
+  similarities.forEach((similarity, i) => {
+    const threshold = mean - std;
+    if (similarity < threshold) {
+      candidates.push({
+        time: ordered[i + 1].start,
+        score: 0.5 + 0.5 * Math.min(1, (threshold - similarity) / std),
+        signal: "topic",
+      });
+    }
+  });
+  return candidates;
+}
+
+/**
+ * Unisce i candidati vicini: punteggio = somma del migliore per segnale,
+ * tempo = inizio narrazione se c'è, altrimenti ripresa dopo il silenzio, altrimenti finestra.
+ */
+function mergeCandidates(candidates) {
+  const sorted = [...candidates].sort((a, b) => a.time - b.time);
+  const clusters = [];
+  for (const candidate of sorted) {
+    const last = clusters.at(-1);
+    if (last && candidate.time - last.first <= MERGE_SECONDS) {
+      last.items.push(candidate);
+    } else {
+      clusters.push({ first: candidate.time, items: [candidate] });
+    }
+  }
+
+  const preference = ["narration", "silence", "topic"];
+  return clusters.map(({ items }) => {
+    const best = new Map();
+    for (const item of items) {
+      if (!best.has(item.signal) || best.get(item.signal).score < item.score) {
+        best.set(item.signal, item);
+      }
+    }
+    const anchor = preference.map((signal) => best.get(signal)).find(Boolean);
+    return {
+      time: anchor.time,
+      score: [...best.values()].reduce((sum, item) => sum + item.score, 0),
+      signals: [...best.keys()],
+    };
+  });
+}
+
+/**
+ * Rileva le scene di una trascrizione.
+ * @param {string} text - trascrizione [timestamp] speaker - linea (originale o rivista)
+ * @param {{ speakingSegments?: Array<{ startTime?: number, endTime?: number, start?: number, end?: number }>, masterUsername?: string, useEmbeddings?: boolean, signal?: AbortSignal }} [options]
+ *   - speakingSegments: in ms (VoiceRecorder o segmenti di sessione); senza, stimati dalle righe
+ * @returns {Promise<{ boundaries: Array<{ start: number, end: number }>, cuts: Array<{ time: number, score: number, signals: string[] }> }>}
+ *   boundaries vuoto se il testo non ha righe con timestamp
+ */
+export async function detectSceneBoundaries(text, options = {}) {
+  const { speakingSegments = [], masterUsername, useEmbeddings = true, signal } = options;
+  const { minSeconds, silenceSeconds } = config.scenes;
+
+  const lines = (text || "")
+    .split(/\n/)
+    .map((line) => parseTranscriptLine(line))
+    .filter(Boolean)
+    .sort((a, b) => a.startSeconds - b.startSeconds);
+  if (!lines.length) return { boundaries: [], cuts: [] };
+
+  const intervals = speakingSegments.length
+    ? speakingSegments
+        .map((segment) => ({
+          start: segment.start ?? segment.startTime,
+          end: segment.end ?? segment.endTime ?? segment.start ?? segment.startTime,
+        }))
+        .filter(({ start }) => Number.isFinite(start))
+    : segmentsFromTranscript(text);
+
+  const candidates = [
+    ...silenceCandidates(intervals, silenceSeconds),
+    ...narrationCandidates(lines, masterUsername),
+    ...(useEmbeddings ? await topicCandidates(lines, signal) : []),
+  ];
+
+  // Tagli più forti prima; scartati quelli che lascerebbero una scena troppo corta
+  const lastTime = lines.at(-1).startSeconds;
+  const cuts = [];
+  for (const cut of mergeCandidates(candidates)
+    .filter(({ score }) => score >= MIN_CUT_SCORE)
+    .sort((a, b) => b.score - a.score)) {
+    if (cut.time < minSeconds || lastTime - cut.time < minSeconds) continue;
+    if (cuts.some(({ time }) => Math.abs(time - cut.time) < minSeconds)) continue;
+    cuts.push(cut);
+  }
+  cuts.sort((a, b) => a.time - b.time);
+
+  const starts = [0, ...cuts.map(({ time }) => time)];
+  const boundaries = starts.map((start, k) => ({
+    start,
+    end: starts[k + 1] ?? Infinity,
+  }));
+  return { boundaries, cuts };
+}
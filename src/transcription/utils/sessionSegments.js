@@ -0,0 +1,88 @@
+import { existsSync } from "fs";
+import { readFile, writeFile } from "fs/promises";
+import { join } from "path";
+import config from "../../config.js";
+import { parseTranscriptLine } from "./sceneAssignment.js";
+import { normalizeTranscript } from "./transcriptFormat.js";
+
+/**
+ * Segmenti strutturati della trascrizione originale (uno per riga, con speaker e tempi in ms).
+ * Scritti da whisper.js accanto a transcripts/{sessionName}.txt e usati dagli export (SRT/VTT/JSON).
+ * @typedef {{ speakerId: string | null, speakerName: string, start: number, end: number, text: string }} SessionSegment
+ */
+
+/** Durata minima stimata (ms) di una riga quando i segmenti vanno ricostruiti dal .txt. */
+const MIN_ESTIMATED_LINE_MS = 2000;
+/** Stima della durata del parlato: ms per carattere. */
+const MS_PER_CHAR = 70;
+
+/**
+ * @param {string} sessionName
+ * @returns {string} transcripts/{sessionName}_segments.json
+ */
+export function getSegmentsPath(sessionName) {
+  return join(config.paths.transcripts, `${sessionName}_segments.json`);
+}
+
+/**
+ * Salva i segmenti della sessione (ordinati per start).
+ * @param {string} sessionName
+ * @param {SessionSegment[]} segments
+ * @returns {Promise<string>} path del file scritto
+ */
+export async function writeSessionSegments(sessionName, segments) {
+  const segmentsPath = getSegmentsPath(sessionName);
+  const sorted = [...segments].sort((a, b) => a.start - b.start);
+  await writeFile(
+    segmentsPath,
+    JSON.stringify({ sessionName, segments: sorted }, null, 2),
+    "utf-8",
+  );
+  return segmentsPath;
+}
+
+/**
+ * Carica i segmenti di una sessione: dal file _segments.json se esiste,
+ * altrimenti li ricostruisce dalla trascrizione originale [timestamp] speaker - linea
+ * (speakerId sconosciuto, end stimato dalla riga successiva e dalla lunghezza del testo).
+ * @param {string} sessionName
+ * @returns {Promise<SessionSegment[] | null>} null se la sessione non ha trascrizione
+ */
+export async function loadSessionSegments(sessionName) {
+  const segmentsPath = getSegmentsPath(sessionName);
+  if (existsSync(segmentsPath)) {
+    const data = JSON.parse(await readFile(segmentsPath, "utf-8"));
+    return data.segments ?? [];
+  }
+
+  const transcriptPath = join(config.paths.transcripts, `${sessionName}.txt`);
+  if (!existsSync(transcriptPath)) return null;
+
+  const text = normalizeTranscript(await readFile(transcriptPath, "utf-8"));
+  return segmentsFromTranscript(text);
+}
+
+/**
+ * Ricostruisce i segmenti da un testo nel formato [timestamp] speaker - linea.
+ * @param {string} text
+ * @returns {SessionSegment[]}
+ */
+export function segmentsFromTranscript(text) {
+  const parsed = (text || "")
+    .split(/\n/)
+    .map((line) => parseTranscriptLine(line))
+    .filter(Boolean);
+
+  return parsed.map((line, i) => {
+    const start = line.startSeconds * 1000;
+    const estimated = start + Math.max(MIN_ESTIMATED_LINE_MS, line.text.length * MS_PER_CHAR);
+    const next = parsed[i + 1] ? parsed[i + 1].startSeconds * 1000 : Infinity;
+    return {
+      speakerId: null,
+      speakerName: line.speaker.replace(/_/g, " "),
+      start,
+      end: next > start ? Math.min(next, estimated) : estimated,
+      text: line.text,
+    };
+  });
+}
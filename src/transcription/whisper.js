@@ -1,18 +1,29 @@
-import { existsSync, mkdirSync, rmSync } from 'fs';
+import { existsSync, mkdirSync, rmSync, readdirSync } from 'fs';
 import { writeFile, readFile } from 'fs/promises';
 import { join, resolve, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { spawn } from 'child_process';
 import config from '../config.js';
+import { readOffsetMap, fileTimeToSessionTime } from '../voice/offsetMap.js';
+import { writeSessionSegments, loadSessionSegments } from './utils/sessionSegments.js';
+import { formatTimestamp } from './utils/markers.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const PROJECT_ROOT = resolve(__dirname, '..', '..');
 
+/** Segmenti più corti di così (ms) vengono ignorati: troppo brevi per whisper, generano solo allucinazioni. */
+const MIN_SEGMENT_MS = 300;
+/** Numero di clip passate a una singola esecuzione di whisper.cpp. */
+const WHISPER_BATCH_SIZE = 32;
+/** Speaker usato per l'audio misto, dove non si sa chi parla. */
+const MIXED_SPEAKER_LABEL = 'Tavolo';
+
 /**
  * Resolve whisper.cpp path: use project root from this file, fall back to cwd if model not found.
+ * @param {string} [model] - model name (default WHISPER_MODEL), e.g. "medium" for ggml-medium.bin
  */
-function getWhisperPaths() {
-  const modelName = (config.whisper?.model || 'large-v3').trim();
+function getWhisperPaths(model) {
+  const modelName = (model || config.whisper?.model || 'large-v3').trim();
   const rel = ['node_modules', 'whisper-node', 'lib', 'whisper.cpp'];
   const roots = [PROJECT_ROOT, process.cwd()];
   for (const root of roots) {
@@ -29,6 +40,19 @@ function getWhisperPaths() {
   return { whisperCppPath, modelPath, mainPath };
 }
 
+/**
+ * Whisper models installed in whisper.cpp/models (ggml-<name>.bin), for /reprocess
+ * @returns {string[]} model names, e.g. ["base", "large-v3"]
+ */
+export function listWhisperModels() {
+  const modelsDir = join(getWhisperPaths().whisperCppPath, 'models');
+  if (!existsSync(modelsDir)) return [];
+  return readdirSync(modelsDir)
+    .map(file => file.match(/^ggml-(.+)\.bin$/)?.[1])
+    .filter(Boolean)
+    .sort();
+}
+
 /**
  * Get duration in seconds of an audio file via ffprobe
  * @param {string} audioPath
@@ -59,6 +83,37 @@ function getAudioDurationSeconds(audioPath) {
   });
 }
 
+/**
+ * Extract a clip from an audio file with ffmpeg (16kHz mono WAV, as whisper.cpp expects)
+ * @param {string} audioPath
+ * @param {number} startSeconds
+ * @param {number} durationSeconds
+ * @param {string} clipPath - output WAV path
+ * @returns {Promise<void>}
+ */
+function extractAudioClip(audioPath, startSeconds, durationSeconds, clipPath) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn('ffmpeg', [
+      '-y',
+      // Input seeking: jumps straight to the clip instead of decoding from the start (exact for PCM WAV)
+      '-ss', String(startSeconds),
+      '-i', audioPath,
+      '-t', String(durationSeconds),
+      '-acodec', 'pcm_s16le',
+      '-ar', '16000',
+      '-ac', '1',
+      clipPath
+    ], { stdio: ['pipe', 'pipe', 'pipe'] });
+    let stderr = '';
+    proc.stderr.on('data', d => { stderr += d.toString(); });
+    proc.on('close', code => {
+      if (code === 0 && existsSync(clipPath)) resolve();
+      else reject(new Error(`ffmpeg clip failed: ${stderr.slice(-500)}`));
+    });
+    proc.on('error', err => reject(err));
+  });
+}
+
 /**
  * Split audio into fixed-duration chunks with ffmpeg
  * @param {string} audioPath
@@ -73,25 +128,7 @@ async function splitAudioIntoChunks(audioPath, chunkDurationSeconds, tempDir) {
   let index = 0;
   while (start < duration) {
     const chunkPath = join(tempDir, `chunk_${String(index).padStart(3, '0')}.wav`);
-    await new Promise((resolve, reject) => {
-      const proc = spawn('ffmpeg', [
-        '-y',
-        '-i', audioPath,
-        '-ss', String(start),
-        '-t', String(chunkDurationSeconds),
-        '-acodec', 'pcm_s16le',
-        '-ar', '16000',
-        '-ac', '1',
-        chunkPath
-      ], { stdio: ['pipe', 'pipe', 'pipe'] });
-      let stderr = '';
-      proc.stderr.on('data', d => { stderr += d.toString(); });
-      proc.on('close', code => {
-        if (code === 0 && existsSync(chunkPath)) resolve();
-        else reject(new Error(`ffmpeg chunk failed: ${stderr.slice(-500)}`));
-      });
-      proc.on('error', err => reject(err));
-    });
+    await extractAudioClip(audioPath, start, chunkDurationSeconds, chunkPath);
     chunkPaths.push(chunkPath);
     start += chunkDurationSeconds;
     index += 1;
@@ -99,15 +136,59 @@ async function splitAudioIntoChunks(audioPath, chunkDurationSeconds, tempDir) {
   return chunkPaths;
 }
 
+/**
+ * Transcribe an audio file into timestamped segments (structured mode).
+ * Con il chunking attivo, i tempi di ogni chunk vengono spostati del suo offset nel file.
+ * @param {string} audioPath - Path to the WAV audio file
+ * @param {{ model?: string, language?: string }} [options] - override WHISPER_MODEL / WHISPER_LANGUAGE
+ * @returns {Promise<Array<{ start: number, end: number, text: string }>>} segments with times in ms from the start of the file
+ */
+export async function transcribeAudioSegments(audioPath, { model, language } = {}) {
+  const { modelPath, mainPath } = getWhisperPaths(model);
+  if (!existsSync(modelPath)) {
+    throw new Error(`Model not found at ${modelPath}. Run: npm run install:whisper`);
+  }
+
+  const chunkDurationSeconds = config.whisper.chunkDurationSeconds || 0;
+  if (chunkDurationSeconds <= 0) {
+    return runWhisperCpp(mainPath, modelPath, audioPath, language);
+  }
+
+  const tmpDir = join(PROJECT_ROOT, 'tmp', `whisper_${Date.now()}`);
+  mkdirSync(tmpDir, { recursive: true });
+  try {
+    const chunkPaths = await splitAudioIntoChunks(audioPath, chunkDurationSeconds, tmpDir);
+    console.log(`[Whisper] Split into ${chunkPaths.length} chunks of ${chunkDurationSeconds}s`);
+    const segments = [];
+    for (let i = 0; i < chunkPaths.length; i++) {
+      console.log(`[Whisper] Transcribing chunk ${i + 1}/${chunkPaths.length}...`);
+      const chunkOffset = i * chunkDurationSeconds * 1000;
+      const chunkSegments = await runWhisperCpp(mainPath, modelPath, chunkPaths[i], language);
+      for (const segment of chunkSegments) {
+        segments.push({
+          start: segment.start + chunkOffset,
+          end: segment.end + chunkOffset,
+          text: segment.text
+        });
+      }
+    }
+    return segments;
+  } finally {
+    if (existsSync(tmpDir)) rmSync(tmpDir, { recursive: true });
+  }
+}
+
 /**
  * Transcribe audio file using Whisper
  * @param {string} audioPath - Path to the WAV audio file
  * @param {string} sessionName - Name for the output transcript
+ * @param {{ pauses?: Array<{ start: number, end: number | null }>, model?: string, language?: string }} [options]
+ *   pauses marked in the transcript (ms); model / language override WHISPER_MODEL / WHISPER_LANGUAGE (/reprocess)
  * @returns {Promise<string>} Path to the generated transcript file
  */
-export async function transcribeAudio(audioPath, sessionName) {
+export async function transcribeAudio(audioPath, sessionName, { pauses = [], model, language } = {}) {
   // Ensure transcripts directory exists
-  const transcriptsDir = join(PROJECT_ROOT, 'transcripts');
+  const transcriptsDir = config.paths.transcripts;
   if (!existsSync(transcriptsDir)) {
     mkdirSync(transcriptsDir, { recursive: true });
   }
@@ -117,7 +198,7 @@ export async function transcribeAudio(audioPath, sessionName) {
   console.log(`[Whisper] Starting transcription: ${audioPath}`);
   console.log(`[Whisper] Output: ${transcriptPath}`);
 
-  const { whisperCppPath, modelPath, mainPath } = getWhisperPaths();
+  const { modelPath } = getWhisperPaths(model);
   console.log(`[Whisper] Model path: ${modelPath}`);
   console.log(`[Whisper] Model exists: ${existsSync(modelPath)}`);
 
@@ -126,39 +207,27 @@ export async function transcribeAudio(audioPath, sessionName) {
     return createPlaceholderTranscript(transcriptPath, sessionName, audioPath, 'Model not found');
   }
 
-  const chunkDurationSeconds = config.whisper.chunkDurationSeconds || 0;
-  const useChunking = chunkDurationSeconds > 0;
-
   try {
-    let transcript;
-    if (useChunking) {
-      const tmpDir = join(PROJECT_ROOT, 'tmp', `whisper_${sessionName}_${Date.now()}`);
-      mkdirSync(tmpDir, { recursive: true });
-      try {
-        const chunkPaths = await splitAudioIntoChunks(audioPath, chunkDurationSeconds, tmpDir);
-        console.log(`[Whisper] Split into ${chunkPaths.length} chunks of ${chunkDurationSeconds}s`);
-        const parts = [];
-        for (let i = 0; i < chunkPaths.length; i++) {
-          console.log(`[Whisper] Transcribing chunk ${i + 1}/${chunkPaths.length}...`);
-          const part = await runWhisperCpp(mainPath, modelPath, chunkPaths[i]);
-          if (part && part.trim()) parts.push(part.trim());
-        }
-        transcript = parts.join('\n\n');
-      } finally {
-        if (existsSync(tmpDir)) rmSync(tmpDir, { recursive: true });
-      }
-    } else {
-      transcript = await runWhisperCpp(mainPath, modelPath, audioPath);
-    }
+    const segments = await transcribeAudioSegments(audioPath, { model, language });
 
-    // Format transcript
+    // Format transcript: one [timestamp] speaker - line row per whisper segment
     let formattedTranscript = `D&D Session Transcript\n`;
     formattedTranscript += `Session: ${sessionName}\n`;
     formattedTranscript += `Date: ${new Date().toLocaleString()}\n`;
     formattedTranscript += `${'='.repeat(50)}\n\n`;
-    formattedTranscript += transcript || '';
+    const sessionSegments = [];
+    const rows = pauses.map(pause => ({ time: pause.start, row: formatPauseMarker(pause) }));
+    for (const { start, end, text } of segments) {
+      const cleanText = cleanTranscriptText(text);
+      if (cleanText) {
+        rows.push({ time: start, row: `[${formatTimestamp(start)}] ${MIXED_SPEAKER_LABEL} - ${cleanText}` });
+        sessionSegments.push({ speakerId: null, speakerName: MIXED_SPEAKER_LABEL, start, end, text: cleanText });
+      }
+    }
+    formattedTranscript += sortRows(rows);
 
     await writeFile(transcriptPath, formattedTranscript, 'utf-8');
+    await writeSessionSegments(sessionName, sessionSegments);
     console.log(`[Whisper] Transcription complete: ${transcriptPath}`);
 
     return transcriptPath;
@@ -170,16 +239,17 @@ export async function transcribeAudio(audioPath, sessionName) {
 
 /**
  * Run whisper.cpp main binary
+ * @param {string} [language] - default WHISPER_LANGUAGE
+ * @returns {Promise<Array<{ start: number, end: number, text: string }>>} segments parsed from stdout (ms)
  */
-async function runWhisperCpp(mainPath, modelPath, audioPath) {
+async function runWhisperCpp(mainPath, modelPath, audioPath, language = config.whisper.language) {
   return new Promise((resolve, reject) => {
     console.log(`[Whisper] Running: ${mainPath} -m ${modelPath} -f ${audioPath}`);
 
     const proc = spawn(mainPath, [
       '-m', modelPath,
       '-f', audioPath,
-      '-l', config.whisper.language || 'it',  // Use configured language
-      '--no-timestamps'  // Clean output without timestamps
+      '-l', language || 'it'  // Use configured language
     ], {
       stdio: ['pipe', 'pipe', 'pipe']
     });
@@ -197,12 +267,7 @@ async function runWhisperCpp(mainPath, modelPath, audioPath) {
 
     proc.on('close', code => {
       if (code === 0) {
-        // Clean up whisper output (remove timing info, etc.)
-        const lines = stdout.split('\n')
-          .filter(line => !line.startsWith('[') && line.trim())
-          .join('\n')
-          .trim();
-        resolve(lines || stdout.trim());
+        resolve(parseWhisperStdout(stdout));
       } else {
         reject(new Error(`whisper.cpp exited with code ${code}: ${stderr}`));
       }
@@ -214,6 +279,98 @@ async function runWhisperCpp(mainPath, modelPath, audioPath) {
   });
 }
 
+/**
+ * Run whisper.cpp once on several files (the model is loaded only once).
+ * Con -osrt whisper.cpp scrive i segmenti di ogni input in `<file>.srt`.
+ * @param {string} mainPath
+ * @param {string} modelPath
+ * @param {string[]} audioPaths
+ * @param {string} [language] - default WHISPER_LANGUAGE
+ * @returns {Promise<Array<Array<{ start: number, end: number, text: string }>>>} segments for each input, in the same order ([] if missing)
+ */
+async function runWhisperCppBatch(mainPath, modelPath, audioPaths, language = config.whisper.language) {
+  await new Promise((resolve, reject) => {
+    console.log(`[Whisper] Running: ${mainPath} -m ${modelPath} on ${audioPaths.length} files`);
+
+    const proc = spawn(mainPath, [
+      '-m', modelPath,
+      ...audioPaths.flatMap(audioPath => ['-f', audioPath]),
+      '-l', language || 'it',
+      '-osrt'
+    ], {
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    let stderr = '';
+    // stdout is not needed (output goes to .srt files) but must be drained
+    proc.stdout.on('data', () => {});
+    proc.stderr.on('data', data => {
+      stderr += data.toString();
+    });
+
+    proc.on('close', code => {
+      if (code === 0) resolve();
+      else reject(new Error(`whisper.cpp exited with code ${code}: ${stderr.slice(-500)}`));
+    });
+
+    proc.on('error', err => {
+      reject(err);
+    });
+  });
+
+  const results = [];
+  for (const audioPath of audioPaths) {
+    const srtPath = `${audioPath}.srt`;
+    results.push(existsSync(srtPath) ? parseSrt(await readFile(srtPath, 'utf-8')) : []);
+  }
+  return results;
+}
+
+/**
+ * Parse whisper.cpp stdout lines: [00:00:01.000 --> 00:00:04.500]   testo
+ * @param {string} stdout
+ * @returns {Array<{ start: number, end: number, text: string }>}
+ */
+function parseWhisperStdout(stdout) {
+  const segments = [];
+  for (const line of stdout.split('\n')) {
+    const m = line.match(/^\[(\d+:\d{2}:\d{2}[.,]\d{3})\s*-->\s*(\d+:\d{2}:\d{2}[.,]\d{3})\]\s*(.*)$/);
+    if (!m) continue;
+    const text = m[3].trim();
+    if (!text) continue;
+    segments.push({ start: parseWhisperTime(m[1]), end: parseWhisperTime(m[2]), text });
+  }
+  return segments;
+}
+
+/**
+ * Parse an SRT file written by whisper.cpp
+ * @param {string} content
+ * @returns {Array<{ start: number, end: number, text: string }>}
+ */
+function parseSrt(content) {
+  const segments = [];
+  for (const block of content.replace(/\r/g, '').split(/\n\s*\n/)) {
+    const lines = block.split('\n').filter(l => l.trim());
+    const timeIndex = lines.findIndex(l => l.includes('-->'));
+    if (timeIndex < 0) continue;
+    const [from, to] = lines[timeIndex].split('-->').map(t => t.trim());
+    const text = lines.slice(timeIndex + 1).map(l => l.trim()).join(' ');
+    if (!text) continue;
+    segments.push({ start: parseWhisperTime(from), end: parseWhisperTime(to), text });
+  }
+  return segments;
+}
+
+/**
+ * Convert a whisper.cpp time (HH:MM:SS.mmm or HH:MM:SS,mmm) to ms
+ */
+function parseWhisperTime(str) {
+  const [hms, ms = '0'] = str.trim().split(/[.,]/);
+  const [h, m, sec] = hms.split(':').map(n => parseInt(n, 10));
+  return ((h * 60 + m) * 60 + sec) * 1000 + parseInt(ms, 10);
+}
+
 /**
  * Create placeholder transcript when transcription fails
  */
@@ -232,105 +389,199 @@ async function createPlaceholderTranscript(transcriptPath, sessionName, audioPat
 }
 
 /**
- * Transcribe audio for multiple users and combine with speaker labels in chronological order
- * @param {Object} userAudioFiles - Map of userId -> {path, userName}
+ * Transcribe each speaking segment of every user and merge all lines in chronological order
+ * @param {Object} userAudioFiles - Map of userId -> {path, userName, segments?}
+ *   segments: [{startTime, endTime, fileStart, fileEnd}] in ms (fileStart/fileEnd = position inside the user's WAV)
  * @param {string} sessionName - Name for the output transcript
  * @param {Array} speakingSegments - Array of {userId, userName, startTime, endTime}
+ * @param {{ pauses?: Array<{ start: number, end: number | null }>, model?: string, language?: string }} [options]
+ *   pauses marked in the transcript (ms); model / language override WHISPER_MODEL / WHISPER_LANGUAGE (/reprocess)
  * @returns {Promise<string>} Path to the generated transcript file
  */
-export async function transcribeWithSpeakers(userAudioFiles, sessionName, speakingSegments = []) {
+export async function transcribeWithSpeakers(userAudioFiles, sessionName, speakingSegments = [], { pauses = [], model, language } = {}) {
   // Ensure transcripts directory exists
-  const transcriptsDir = join(PROJECT_ROOT, 'transcripts');
+  const transcriptsDir = config.paths.transcripts;
   if (!existsSync(transcriptsDir)) {
     mkdirSync(transcriptsDir, { recursive: true });
   }
 
   const transcriptPath = join(transcriptsDir, `${sessionName}.txt`);
 
-  const { modelPath, mainPath } = getWhisperPaths();
+  const { modelPath, mainPath } = getWhisperPaths(model);
   if (!existsSync(modelPath)) {
     console.error(`[Whisper] Model not found at ${modelPath}. Run: npm run install:whisper`);
     return createPlaceholderTranscript(transcriptPath, sessionName, 'multiple files', 'Model not found');
   }
 
-  const userTranscripts = new Map(); // userId -> transcript text
+  const lines = []; // [{startTime, endTime, userId, userName, text}]
+  const speakers = new Set();
+  const tmpDir = join(PROJECT_ROOT, 'tmp', `whisper_${sessionName}_${Date.now()}`);
+  mkdirSync(tmpDir, { recursive: true });
 
-  // Transcribe each user's audio
-  for (const [userId, { path, userName }] of Object.entries(userAudioFiles)) {
-    if (!existsSync(path)) {
-      console.log(`[Whisper] Skipping ${userName}: audio file not found`);
-      continue;
-    }
+  try {
+    // Transcribe each user's audio, one utterance at a time
+    for (const [userId, { path, userName, segments }] of Object.entries(userAudioFiles)) {
+      if (!existsSync(path)) {
+        console.log(`[Whisper] Skipping ${userName}: audio file not found`);
+        continue;
+      }
 
-    console.log(`[Whisper] Transcribing audio for ${userName}...`);
+      try {
+        const offsetMap = await readOffsetMap(path);
+        const userLines = segments?.length
+          ? await transcribeUserSegments(mainPath, modelPath, path, userName, segments, offsetMap, tmpDir, language)
+          : await transcribeUserFile(mainPath, modelPath, path, userId, speakingSegments, offsetMap, language);
 
-    try {
-      const transcript = await runWhisperCpp(mainPath, modelPath, path);
-      if (transcript && transcript.trim()) {
-        userTranscripts.set(userId, {
-          userName,
-          text: transcript.trim()
-        });
-        console.log(`[Whisper] Transcribed ${userName}: ${transcript.slice(0, 50)}...`);
+        for (const line of userLines) {
+          lines.push({ ...line, userId, userName });
+        }
+        if (userLines.length > 0) speakers.add(userName);
+        console.log(`[Whisper] Transcribed ${userName}: ${userLines.length} lines`);
+      } catch (error) {
+        console.error(`[Whisper] Failed to transcribe ${userName}:`, error.message);
       }
-    } catch (error) {
-      console.error(`[Whisper] Failed to transcribe ${userName}:`, error.message);
+    }
+  } finally {
+    if (existsSync(tmpDir)) rmSync(tmpDir, { recursive: true });
+  }
+
+  await writeSpeakerTranscript(transcriptPath, sessionName, lines, [...speakers], pauses);
+  console.log(`[Whisper] Transcription with speakers complete: ${transcriptPath}`);
+
+  return transcriptPath;
+}
+
+/**
+ * Join the transcripts of the session parts (checkpoints) into one continuous transcript.
+ * I tempi dei segmenti di ogni parte sono già tempi di sessione, basta unirli e ordinarli.
+ * @param {string[]} partNames - names of the parts (as sessions), in order
+ * @param {string} sessionName - Name for the output transcript
+ * @param {{ pauses?: Array<{ start: number, end: number | null }> }} [options] - pauses marked in the transcript (ms)
+ * @returns {Promise<string>} Path to the generated transcript file
+ */
+export async function stitchTranscriptParts(partNames, sessionName, { pauses = [] } = {}) {
+  const transcriptsDir = config.paths.transcripts;
+  if (!existsSync(transcriptsDir)) {
+    mkdirSync(transcriptsDir, { recursive: true });
+  }
+
+  const transcriptPath = join(transcriptsDir, `${sessionName}.txt`);
+  const lines = [];
+  const speakers = new Set();
+
+  for (const partName of partNames) {
+    const segments = await loadSessionSegments(partName);
+    if (!segments) {
+      console.warn(`[Whisper] Part ${partName} has no transcript, skipping`);
+      continue;
+    }
+    for (const { speakerId, speakerName, start, end, text } of segments) {
+      lines.push({ startTime: start, endTime: end, userId: speakerId, userName: speakerName, text });
+      speakers.add(speakerName);
     }
   }
 
-  // Get unique speakers
-  const speakers = [...new Set([...userTranscripts.values()].map(u => u.userName))];
+  await writeSpeakerTranscript(transcriptPath, sessionName, lines, [...speakers], pauses);
+  console.log(`[Whisper] Stitched ${partNames.length} parts into ${transcriptPath}`);
+
+  return transcriptPath;
+}
+
+/**
+ * Write the transcript (header + one [timestamp] speaker - line row per utterance) and its segments file
+ */
+async function writeSpeakerTranscript(transcriptPath, sessionName, lines, speakers, pauses = []) {
+  // Interleave all speakers by start time
+  lines.sort((a, b) => a.startTime - b.startTime);
 
-  // Format transcript with speaker labels in chronological order
+  // Format transcript: one [timestamp] speaker - line row per utterance
   let formattedTranscript = `D&D Session Transcript\n`;
   formattedTranscript += `Session: ${sessionName}\n`;
   formattedTranscript += `Date: ${new Date().toLocaleString()}\n`;
   formattedTranscript += `Speakers: ${speakers.join(', ')}\n`;
   formattedTranscript += `${'='.repeat(50)}\n\n`;
 
-  if (userTranscripts.size === 0) {
+  if (lines.length === 0) {
     formattedTranscript += `[No speech detected]\n`;
-  } else if (speakingSegments.length > 0) {
-    // Get the order of speakers based on their first speaking time
-    const speakerOrder = [];
-    const seenSpeakers = new Set();
-
-    for (const segment of speakingSegments) {
-      if (!seenSpeakers.has(segment.userId) && userTranscripts.has(segment.userId)) {
-        seenSpeakers.add(segment.userId);
-        speakerOrder.push({
-          userId: segment.userId,
-          startTime: segment.startTime
-        });
-      }
+  } else {
+    const rows = pauses.map(pause => ({ time: pause.start, row: formatPauseMarker(pause) }));
+    for (const { startTime, userName, text } of lines) {
+      rows.push({ time: startTime, row: `[${formatTimestamp(startTime)}] ${speakerLabel(userName)} - ${text}` });
     }
+    formattedTranscript += sortRows(rows);
+  }
 
-    // Output transcripts in the order speakers first appeared
-    for (const { userId, startTime } of speakerOrder) {
-      const { userName, text } = userTranscripts.get(userId);
-      const cleanText = cleanTranscriptText(text);
+  await writeFile(transcriptPath, formattedTranscript, 'utf-8');
+  await writeSessionSegments(sessionName, lines.map(({ startTime, endTime, userId, userName, text }) => ({
+    speakerId: userId,
+    speakerName: userName,
+    start: startTime,
+    end: endTime,
+    text
+  })));
+}
 
-      if (cleanText) {
-        formattedTranscript += `[${formatTime(startTime)}] **${userName}:**\n`;
-        formattedTranscript += `${cleanText}\n\n`;
-      }
-    }
-  } else {
-    // Fallback: just list by user
-    for (const [userId, { userName, text }] of userTranscripts) {
-      const cleanText = cleanTranscriptText(text);
+/**
+ * Cut every speaking segment out of a user's WAV and transcribe each one on its own.
+ * Ogni segmento whisper diventa una riga: tempo = inizio della clip nella sessione + tempo nel segmento.
+ * @returns {Promise<Array<{ startTime: number, endTime: number, text: string }>>}
+ */
+async function transcribeUserSegments(mainPath, modelPath, audioPath, userName, segments, offsetMap, tmpDir, language) {
+  const clips = [];
+  for (const segment of segments) {
+    const duration = segment.fileEnd - segment.fileStart;
+    if (duration < MIN_SEGMENT_MS) continue;
+
+    const clipPath = join(tmpDir, `${speakerLabel(userName)}_${String(Math.round(segment.startTime)).padStart(9, '0')}.wav`);
+    await extractAudioClip(audioPath, segment.fileStart / 1000, duration / 1000, clipPath);
+    // With an offset map the clip start is the first packet's session time, otherwise the speaking start
+    const sessionStart = offsetMap ? fileTimeToSessionTime(offsetMap, segment.fileStart) : segment.startTime;
+    clips.push({ sessionStart, clipPath });
+  }
 
-      if (cleanText) {
-        formattedTranscript += `**${userName}:**\n`;
-        formattedTranscript += `${cleanText}\n\n`;
+  console.log(`[Whisper] Transcribing ${clips.length} segments for ${userName}...`);
+
+  const lines = [];
+  for (let i = 0; i < clips.length; i += WHISPER_BATCH_SIZE) {
+    const batch = clips.slice(i, i + WHISPER_BATCH_SIZE);
+    const results = await runWhisperCppBatch(mainPath, modelPath, batch.map(c => c.clipPath), language);
+    batch.forEach(({ sessionStart }, j) => {
+      for (const { start, end, text } of results[j]) {
+        const cleanText = cleanTranscriptText(text);
+        if (cleanText) lines.push({ startTime: sessionStart + start, endTime: sessionStart + end, text: cleanText });
       }
-    }
+    });
   }
+  return lines;
+}
 
-  await writeFile(transcriptPath, formattedTranscript, 'utf-8');
-  console.log(`[Whisper] Transcription with speakers complete: ${transcriptPath}`);
+/**
+ * Fallback when segment offsets are not available: transcribe the whole file and map every
+ * whisper segment back to session time through the offset map (or from the user's first speaking time)
+ * @returns {Promise<Array<{ startTime: number, endTime: number, text: string }>>}
+ */
+async function transcribeUserFile(mainPath, modelPath, audioPath, userId, speakingSegments, offsetMap, language) {
+  const segments = await runWhisperCpp(mainPath, modelPath, audioPath, language);
+  const firstSegment = speakingSegments
+    .filter(seg => seg.userId === userId)
+    .reduce((first, seg) => (!first || seg.startTime < first.startTime ? seg : first), null);
+  const origin = firstSegment?.startTime ?? 0;
+
+  const lines = [];
+  for (const { start, end, text } of segments) {
+    const cleanText = cleanTranscriptText(text);
+    if (!cleanText) continue;
+    const toSession = ms => (offsetMap ? fileTimeToSessionTime(offsetMap, ms) : origin + ms);
+    lines.push({ startTime: toSession(start), endTime: toSession(end), text: cleanText });
+  }
+  return lines;
+}
 
-  return transcriptPath;
+/**
+ * Speaker label for the standard line format: no spaces (es. "Paolo Fontana" -> "Paolo_Fontana")
+ */
+function speakerLabel(userName) {
+  return userName.trim().replace(/\s+/g, '_');
 }
 
 /**
@@ -356,12 +607,26 @@ function cleanTranscriptText(text) {
 }
 
 /**
- * Format milliseconds to MM:SS
+ * Row marking a pause of the recording. Non è nel formato [timestamp] speaker - linea,
+ * quindi parser, segmenti ed export la ignorano.
  */
-function formatTime(ms) {
-  const totalSeconds = Math.floor(ms / 1000);
-  const minutes = Math.floor(totalSeconds / 60);
-  const seconds = totalSeconds % 60;
-  return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+function formatPauseMarker({ start, end }) {
+  let length = '';
+  if (end != null) {
+    const gap = end - start;
+    length = gap < 60000 ? ` per ${Math.round(gap / 1000)} s` : ` per ${formatTimestamp(gap)}`;
+  }
+  return `[${formatTimestamp(start)}] --- Pausa: registrazione sospesa${length} ---`;
 }
 
+/**
+ * Join transcript rows in time order (stable: a pause comes before lines starting at the same time)
+ */
+function sortRows(rows) {
+  return rows
+    .sort((a, b) => a.time - b.time)
+    .map(({ row }) => `${row}\n`)
+    .join('');
+}
+
+
@@ -1,19 +1,120 @@
 import { EventEmitter } from 'events';
-import { writeFile } from 'fs/promises';
+import { existsSync, mkdirSync, readdirSync, rmSync, appendFileSync, writeFileSync } from 'fs';
+import { writeFile, readFile } from 'fs/promises';
+import { join } from 'path';
+import { getOffsetMapPath } from './offsetMap.js';
+import { PacketLogWriter, readPacketLog } from './packetLog.js';
+
+/** Ritardo massimo (ms) tra due pacchetti per considerarli parlato continuo (jitter di rete). */
+const JITTER_TOLERANCE_MS = 200;
+/** Soglia oltre la quale la somma delle voci viene compressa invece di saturare. */
+const SOFT_CLIP_THRESHOLD = 0.8;
+
+/**
+ * Soft clipping: lineare fino alla soglia, poi compressione tanh verso ±1.
+ * @param {number} sample
+ * @returns {number}
+ */
+function softClip(sample) {
+  const abs = Math.abs(sample);
+  if (abs <= SOFT_CLIP_THRESHOLD) return sample;
+  const headroom = 1 - SOFT_CLIP_THRESHOLD;
+  const compressed = SOFT_CLIP_THRESHOLD + headroom * Math.tanh((abs - SOFT_CLIP_THRESHOLD) / headroom);
+  return Math.sign(sample) * compressed;
+}
+
+/** File di manifest dello spool (startTime della registrazione). */
+const SPOOL_MANIFEST = 'spool.json';
+/** Eventi di inizio/fine parlato, una riga JSON per evento. */
+const SPOOL_SEGMENTS = 'segments.jsonl';
+const PACKET_LOG_EXT = '.opuslog';
 
 /**
  * Audio mixer that collects Opus packets per user for speaker identification
  * Avoids native module crashes and OGG container issues
+ * Con spoolDir, pacchetti ed eventi di parlato vengono anche scritti su disco man mano
+ * (crash-safe): una registrazione interrotta si può ricostruire con AudioMixer.fromSpool().
  */
 export class AudioMixer extends EventEmitter {
-  constructor() {
+  /**
+   * @param {{ spoolDir?: string | null, startTime?: number }} [options]
+   */
+  constructor({ spoolDir = null, startTime = Date.now() } = {}) {
     super();
     this.streams = new Map();
     this.userPackets = new Map(); // userId -> [{packet, timestamp}]
     this.speakingSegments = []; // [{userId, startTime, endTime}] - chronological order
     this.isRunning = false;
     this.silenceInterval = null;
-    this.startTime = Date.now();
+    this.startTime = startTime;
+    this.timelineOrigin = 0; // ms dall'inizio sessione da cui parte il WAV misto (inizio della parte dopo un checkpoint)
+    this.spoolDir = spoolDir;
+    this.packetLogs = new Map(); // userId -> PacketLogWriter
+
+    if (this.spoolDir) {
+      mkdirSync(this.spoolDir, { recursive: true });
+      const manifestPath = join(this.spoolDir, SPOOL_MANIFEST);
+      if (!existsSync(manifestPath)) {
+        writeFileSync(manifestPath, JSON.stringify({ startTime: this.startTime }));
+      }
+    }
+  }
+
+  /**
+   * Rebuild a mixer from a spool directory left by an interrupted recording.
+   * I segmenti rimasti aperti vengono chiusi all'ultimo pacchetto dell'utente.
+   * @param {string} spoolDir
+   * @returns {Promise<AudioMixer>}
+   */
+  static async fromSpool(spoolDir) {
+    const manifest = JSON.parse(await readFile(join(spoolDir, SPOOL_MANIFEST), 'utf-8'));
+    const mixer = new AudioMixer({ startTime: manifest.startTime });
+
+    for (const file of readdirSync(spoolDir)) {
+      if (!file.endsWith(PACKET_LOG_EXT)) continue;
+      const userId = file.slice(0, -PACKET_LOG_EXT.length);
+      const packets = await readPacketLog(join(spoolDir, file));
+      if (packets.length > 0) mixer.userPackets.set(userId, packets);
+    }
+
+    const segmentsPath = join(spoolDir, SPOOL_SEGMENTS);
+    if (existsSync(segmentsPath)) {
+      const lines = (await readFile(segmentsPath, 'utf-8')).split('\n').filter(Boolean);
+      for (const line of lines) {
+        let event;
+        try {
+          event = JSON.parse(line);
+        } catch (e) {
+          continue; // truncated last line
+        }
+        if (event.type === 'start') {
+          mixer.speakingSegments.push({ userId: event.userId, startTime: event.time, endTime: null });
+        } else if (event.type === 'end') {
+          mixer.closeSegment(event.userId, event.time);
+        }
+      }
+    }
+
+    for (const segment of mixer.speakingSegments) {
+      if (segment.endTime === null) {
+        const packets = mixer.userPackets.get(segment.userId) ?? [];
+        const lastPacket = packets.length ? packets[packets.length - 1].timestamp : 0;
+        segment.endTime = Math.max(segment.startTime, lastPacket);
+      }
+    }
+
+    return mixer;
+  }
+
+  /**
+   * Duration covered by the collected packets, in ms from the start of the recording
+   */
+  getLastPacketTime() {
+    let last = 0;
+    for (const packets of this.userPackets.values()) {
+      if (packets.length) last = Math.max(last, packets[packets.length - 1].timestamp);
+    }
+    return last;
   }
 
   /**
@@ -26,6 +127,7 @@ export class AudioMixer extends EventEmitter {
       startTime: timestamp,
       endTime: null
     });
+    this.appendSpoolEvent({ type: 'start', userId, time: timestamp });
   }
 
   /**
@@ -33,6 +135,14 @@ export class AudioMixer extends EventEmitter {
    */
   markSpeakingEnd(userId) {
     const timestamp = Date.now() - this.startTime;
+    this.closeSegment(userId, timestamp);
+    this.appendSpoolEvent({ type: 'end', userId, time: timestamp });
+  }
+
+  /**
+   * Close the most recent open segment of a user
+   */
+  closeSegment(userId, timestamp) {
     // Find the most recent open segment for this user
     for (let i = this.speakingSegments.length - 1; i >= 0; i--) {
       if (this.speakingSegments[i].userId === userId && this.speakingSegments[i].endTime === null) {
@@ -66,10 +176,10 @@ export class AudioMixer extends EventEmitter {
     opusStream.on('data', chunk => {
       try {
         const packets = this.userPackets.get(userId);
-        packets.push({
-          packet: Buffer.from(chunk),
-          timestamp: Date.now() - this.startTime
-        });
+        const packet = Buffer.from(chunk);
+        const timestamp = Date.now() - this.startTime;
+        packets.push({ packet, timestamp });
+        this.appendSpoolPacket(userId, packet, timestamp);
       } catch (e) {
         // Ignore errors
       }
@@ -115,6 +225,45 @@ export class AudioMixer extends EventEmitter {
     this.isRunning = false;
   }
 
+  /**
+   * Append a packet to the user's on-disk log (no-op without spoolDir)
+   */
+  appendSpoolPacket(userId, packet, timestamp) {
+    if (!this.spoolDir) return;
+    let log = this.packetLogs.get(userId);
+    if (!log) {
+      log = new PacketLogWriter(join(this.spoolDir, `${userId}${PACKET_LOG_EXT}`));
+      this.packetLogs.set(userId, log);
+    }
+    log.append(packet, timestamp);
+  }
+
+  /**
+   * Append a speaking start/end event to the spool (synchronous: survives a crash right after)
+   */
+  appendSpoolEvent(event) {
+    if (!this.spoolDir) return;
+    try {
+      appendFileSync(join(this.spoolDir, SPOOL_SEGMENTS), JSON.stringify(event) + '\n');
+    } catch (e) {
+      console.error('[AudioMixer] Spool event write failed:', e.message);
+    }
+  }
+
+  /**
+   * Close the packet logs; with remove=true delete the spool (audio is safely saved as WAV)
+   * @param {{ remove?: boolean }} [options]
+   */
+  async closeSpool({ remove = false } = {}) {
+    for (const log of this.packetLogs.values()) {
+      await log.close();
+    }
+    this.packetLogs.clear();
+    if (remove && this.spoolDir && existsSync(this.spoolDir)) {
+      rmSync(this.spoolDir, { recursive: true });
+    }
+  }
+
   getPacketCount() {
     let total = 0;
     for (const packets of this.userPackets.values()) {
@@ -123,45 +272,83 @@ export class AudioMixer extends EventEmitter {
     return total;
   }
 
+  /**
+   * Bytes of Opus packets currently held in memory
+   */
+  getBufferedBytes() {
+    let total = 0;
+    for (const packets of this.userPackets.values()) {
+      for (const { packet } of packets) {
+        total += packet.length;
+      }
+    }
+    return total;
+  }
+
   getUserIds() {
     return [...this.userPackets.keys()];
   }
 
   /**
-   * Clear stored packets and segments (e.g. after a checkpoint save).
-   * Use when doing periodic checkpoints so the next window only has new audio.
+   * Detach the packets and segments collected so far into a separate mixer (one part of the session)
+   * and start over with a timeline beginning now. Gli stream attivi continuano a registrare;
+   * i segmenti ancora aperti vengono chiusi nella parte e riaperti in quella nuova.
+   * @returns {AudioMixer} mixer of the part (same startTime, timeline from its timelineOrigin)
    */
-  clearUserPackets() {
-    this.userPackets.clear();
-  }
+  splitPart() {
+    const cut = Date.now() - this.startTime;
+    const part = new AudioMixer({ startTime: this.startTime });
+    part.timelineOrigin = this.timelineOrigin;
+    part.userPackets = this.userPackets;
+    part.speakingSegments = this.speakingSegments;
+
+    this.userPackets = new Map();
+    for (const userId of this.streams.keys()) {
+      this.userPackets.set(userId, []);
+    }
+    this.speakingSegments = [];
+    for (const segment of part.speakingSegments) {
+      if (segment.endTime === null) {
+        segment.endTime = cut;
+        this.speakingSegments.push({ userId: segment.userId, startTime: cut, endTime: null });
+      }
+    }
+    this.timelineOrigin = cut;
 
-  clearSpeakingSegments() {
-    this.speakingSegments.length = 0;
+    return part;
   }
 
   /**
-   * Decode Opus packets for a specific user to PCM using WASM decoder
+   * Create a WASM Opus decoder for Discord's audio format (48kHz stereo)
    */
-  async decodeUserPackets(userId) {
-    const packets = this.userPackets.get(userId);
-    if (!packets || packets.length === 0) {
-      return null;
-    }
-
+  async createDecoder() {
     const { OpusDecoder } = await import('opus-decoder');
 
-    // Create decoder for Discord's audio format: 48kHz stereo
     const decoder = new OpusDecoder({
       channels: 2,
       sampleRate: 48000,
     });
 
     await decoder.ready;
+    return decoder;
+  }
 
-    const pcmChunks = [];
-    let decodedCount = 0;
+  /**
+   * Decode a user's packets frame by frame to mono PCM (48kHz), keeping each frame's timestamp.
+   * Un decoder per utente: lo stato Opus non va condiviso tra stream diversi.
+   * @returns {Promise<{ frames: Array<{ timestamp: number, pcm: Float32Array }>, errorCount: number }>}
+   */
+  async decodeUserFrames(userId) {
+    const packets = this.userPackets.get(userId);
+    if (!packets || packets.length === 0) {
+      return { frames: [], errorCount: 0 };
+    }
+
+    const decoder = await this.createDecoder();
+    const frames = [];
+    let errorCount = 0;
 
-    for (const { packet } of packets) {
+    for (const { packet, timestamp } of packets) {
       try {
         const decoded = decoder.decodeFrame(new Uint8Array(packet));
         if (decoded && decoded.channelData && decoded.channelData[0]) {
@@ -172,108 +359,230 @@ export class AudioMixer extends EventEmitter {
           for (let i = 0; i < left.length; i++) {
             mono[i] = (left[i] + right[i]) / 2;
           }
-          pcmChunks.push(mono);
-          decodedCount++;
+          frames.push({ timestamp, pcm: mono });
         }
       } catch (e) {
+        errorCount++;
         // Some packets may be corrupted, continue with others
       }
     }
 
     decoder.free();
 
-    if (pcmChunks.length === 0) {
+    return { frames, errorCount };
+  }
+
+  /**
+   * Decode Opus packets for a specific user to PCM using WASM decoder
+   */
+  async decodeUserPackets(userId) {
+    const { frames } = await this.decodeUserFrames(userId);
+    if (frames.length === 0) {
       return null;
     }
 
     // Concatenate all PCM chunks
-    const totalLength = pcmChunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const totalLength = frames.reduce((sum, frame) => sum + frame.pcm.length, 0);
     const pcmData = new Float32Array(totalLength);
+    const frameOffsets = [];
     let offset = 0;
-    for (const chunk of pcmChunks) {
-      pcmData.set(chunk, offset);
-      offset += chunk.length;
+    for (const { timestamp, pcm } of frames) {
+      frameOffsets.push({ timestamp, offset, length: pcm.length });
+      pcmData.set(pcm, offset);
+      offset += pcm.length;
     }
 
+    // Where each frame sits in the session, to build the file -> session offset map
+    const placed = this.placeFramesOnTimeline(frames, 48000);
+    const spans = [];
+    placed.forEach(({ offset: sessionOffset, pcm }, i) => {
+      const last = spans[spans.length - 1];
+      const fileOffset = frameOffsets[i].offset;
+      if (last && last.sessionStart + (fileOffset - last.fileStart) === sessionOffset) {
+        last.fileEnd = fileOffset + pcm.length;
+      } else {
+        spans.push({ fileStart: fileOffset, fileEnd: fileOffset + pcm.length, sessionStart: sessionOffset });
+      }
+    });
+
     return {
       samples: pcmData,
       sampleRate: 48000,
-      packetCount: decodedCount
+      packetCount: frames.length,
+      segments: this.mapUserSegmentsToFile(userId, frameOffsets, 48000),
+      offsetMap: this.buildOffsetMap(userId, 'concatenated', spans, 48000)
     };
   }
 
   /**
-   * Decode all Opus packets (mixed) to PCM using WASM decoder
+   * Decode a user's packets keeping the silence between utterances (timeline-preserving mode).
+   * Il file parte dal primo pacchetto dell'utente: un solo span, file time + origine = session time.
+   * @param {string} userId
+   * @param {number} [sampleRate=16000] - output sample rate (resampled per frame)
    */
-  async decodeOpusPackets() {
-    // Combine all user packets sorted by timestamp
-    const allPackets = [];
-    for (const [userId, packets] of this.userPackets) {
-      for (const p of packets) {
-        allPackets.push(p.packet);
-      }
+  async decodeUserTimeline(userId, sampleRate = 16000) {
+    const { frames } = await this.decodeUserFrames(userId);
+    if (frames.length === 0) {
+      return null;
     }
 
-    if (allPackets.length === 0) {
-      throw new Error('No audio packets collected');
+    const placed = this.placeFramesOnTimeline(frames, sampleRate);
+    const origin = placed[0].offset;
+    const last = placed[placed.length - 1];
+    const totalLength = last.offset + last.pcm.length - origin;
+
+    const pcmData = new Float32Array(totalLength);
+    const frameOffsets = [];
+    placed.forEach(({ offset, pcm }, i) => {
+      pcmData.set(pcm, offset - origin);
+      frameOffsets.push({ timestamp: frames[i].timestamp, offset: offset - origin, length: pcm.length });
+    });
+
+    const spans = [{ fileStart: 0, fileEnd: totalLength, sessionStart: origin }];
+
+    return {
+      samples: pcmData,
+      sampleRate,
+      packetCount: frames.length,
+      segments: this.mapUserSegmentsToFile(userId, frameOffsets, sampleRate),
+      offsetMap: this.buildOffsetMap(userId, 'timeline', spans, sampleRate)
+    };
+  }
+
+  /**
+   * Build the file -> session offset map (see offsetMap.js), converting sample offsets to ms
+   */
+  buildOffsetMap(userId, mode, spans, sampleRate) {
+    const toMs = samples => (samples / sampleRate) * 1000;
+    return {
+      userId,
+      mode,
+      spans: spans.map(span => ({
+        fileStart: toMs(span.fileStart),
+        fileEnd: toMs(span.fileEnd),
+        sessionStart: toMs(span.sessionStart)
+      }))
+    };
+  }
+
+  /**
+   * Map a user's speaking segments to their position inside the user's (concatenated) audio.
+   * Ogni frame appartiene all'ultimo segmento iniziato prima del suo timestamp.
+   * @param {string} userId
+   * @param {Array<{ timestamp: number, offset: number, length: number }>} frameOffsets - offsets in samples
+   * @param {number} sampleRate
+   * @returns {Array<{ startTime: number, endTime: number, fileStart: number, fileEnd: number }>} times in ms
+   */
+  mapUserSegmentsToFile(userId, frameOffsets, sampleRate) {
+    const segments = this.speakingSegments
+      .filter(seg => seg.userId === userId)
+      .sort((a, b) => a.startTime - b.startTime)
+      .map(seg => ({ startTime: seg.startTime, endTime: seg.endTime, fileStart: null, fileEnd: null }));
+    if (segments.length === 0) return [];
+
+    let index = 0;
+    for (const { timestamp, offset, length } of frameOffsets) {
+      while (index + 1 < segments.length && segments[index + 1].startTime <= timestamp) {
+        index++;
+      }
+      const seg = segments[index];
+      if (seg.fileStart === null) seg.fileStart = offset;
+      seg.fileEnd = offset + length;
     }
 
-    const { OpusDecoder } = await import('opus-decoder');
+    return segments
+      .filter(seg => seg.fileStart !== null)
+      .map(seg => ({
+        startTime: seg.startTime,
+        endTime: seg.endTime ?? seg.startTime + ((seg.fileEnd - seg.fileStart) / sampleRate) * 1000,
+        fileStart: (seg.fileStart / sampleRate) * 1000,
+        fileEnd: (seg.fileEnd / sampleRate) * 1000
+      }));
+  }
 
-    console.log(`[AudioMixer] Decoding ${allPackets.length} Opus packets with WASM decoder...`);
+  /**
+   * Place decoded frames on the session timeline (in samples at the given rate).
+   * Ogni frame va alla posizione del suo timestamp; se arriva entro JITTER_TOLERANCE_MS
+   * dalla fine del frame precedente è considerato parlato continuo e viene accodato,
+   * così il jitter di rete non spezza le frasi. I buchi più lunghi restano silenzio.
+   * @returns {Array<{ offset: number, pcm: Float32Array }>}
+   */
+  placeFramesOnTimeline(frames, sampleRate) {
+    const tolerance = Math.round((JITTER_TOLERANCE_MS / 1000) * sampleRate);
+    const placed = [];
+    let cursor = 0;
+
+    for (const { timestamp, pcm } of frames) {
+      const samples = this.resample(pcm, 48000, sampleRate);
+      const target = Math.round((timestamp / 1000) * sampleRate);
+      const offset = target > cursor + tolerance ? target : Math.max(cursor, target);
+      placed.push({ offset, pcm: samples });
+      cursor = offset + samples.length;
+    }
 
-    // Create decoder for Discord's audio format: 48kHz stereo
-    const decoder = new OpusDecoder({
-      channels: 2,
-      sampleRate: 48000,
-    });
+    return placed;
+  }
 
-    await decoder.ready;
+  /**
+   * Decode all Opus packets and mix them on a shared timeline using WASM decoder.
+   * Ogni utente è posizionato al proprio timestamp, i silenzi restano silenzio
+   * e le voci sovrapposte vengono sommate con soft clipping.
+   * La timeline parte da timelineOrigin (inizio sessione, o inizio della parte dopo un checkpoint).
+   * @param {number} [sampleRate=48000] - sample rate of the mixed output
+   */
+  async decodeOpusPackets(sampleRate = 48000) {
+    const packetCount = this.getPacketCount();
+    if (packetCount === 0) {
+      throw new Error('No audio packets collected');
+    }
 
-    const pcmChunks = [];
+    console.log(`[AudioMixer] Decoding ${packetCount} Opus packets with WASM decoder...`);
+
+    const tracks = [];
     let decodedCount = 0;
     let errorCount = 0;
-
-    for (const packet of allPackets) {
-      try {
-        const decoded = decoder.decodeFrame(new Uint8Array(packet));
-        if (decoded && decoded.channelData && decoded.channelData[0]) {
-          // Convert stereo to mono by averaging channels
-          const left = decoded.channelData[0];
-          const right = decoded.channelData[1] || left;
-          const mono = new Float32Array(left.length);
-          for (let i = 0; i < left.length; i++) {
-            mono[i] = (left[i] + right[i]) / 2;
-          }
-          pcmChunks.push(mono);
-          decodedCount++;
-        }
-      } catch (e) {
-        errorCount++;
-        // Some packets may be corrupted, continue with others
-      }
+    let totalLength = 0;
+
+    for (const userId of this.userPackets.keys()) {
+      const { frames, errorCount: userErrors } = await this.decodeUserFrames(userId);
+      errorCount += userErrors;
+      if (frames.length === 0) continue;
+
+      decodedCount += frames.length;
+      const fromOrigin = frames.map(frame => ({ ...frame, timestamp: frame.timestamp - this.timelineOrigin }));
+      const placed = this.placeFramesOnTimeline(fromOrigin, sampleRate);
+      const last = placed[placed.length - 1];
+      totalLength = Math.max(totalLength, last.offset + last.pcm.length);
+      tracks.push(placed);
     }
 
-    decoder.free();
-
     console.log(`[AudioMixer] Decoded ${decodedCount} packets, ${errorCount} errors`);
 
-    if (pcmChunks.length === 0) {
+    if (tracks.length === 0) {
       throw new Error('No audio could be decoded');
     }
 
-    // Concatenate all PCM chunks
-    const totalLength = pcmChunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    // Sum all tracks on the timeline (gaps stay at zero = silence)
     const pcmData = new Float32Array(totalLength);
-    let offset = 0;
-    for (const chunk of pcmChunks) {
-      pcmData.set(chunk, offset);
-      offset += chunk.length;
+    for (const placed of tracks) {
+      for (const { offset, pcm } of placed) {
+        for (let i = 0; i < pcm.length; i++) {
+          pcmData[offset + i] += pcm[i];
+        }
+      }
+    }
+
+    if (tracks.length > 1) {
+      for (let i = 0; i < pcmData.length; i++) {
+        pcmData[i] = softClip(pcmData[i]);
+      }
     }
 
+    console.log(`[AudioMixer] Mixed ${tracks.length} speaker(s) over ${(totalLength / sampleRate).toFixed(1)}s`);
+
     return {
       samples: pcmData,
-      sampleRate: 48000
+      sampleRate
     };
   }
 
@@ -354,17 +663,12 @@ export class AudioMixer extends EventEmitter {
 
     console.log(`[AudioMixer] Processing ${packetCount} Opus packets...`);
 
-    // Decode Opus to PCM
-    const { samples, sampleRate } = await this.decodeOpusPackets();
-
-    // Resample from 48kHz to 16kHz for Whisper
+    // Decode and mix directly at 16kHz for Whisper (resampling per frame keeps the buffer small)
     const targetRate = 16000;
-    const resampled = this.resample(samples, sampleRate, targetRate);
-
-    console.log(`[AudioMixer] Resampled from ${sampleRate}Hz to ${targetRate}Hz`);
+    const { samples } = await this.decodeOpusPackets(targetRate);
 
     // Convert to 16-bit PCM
-    const pcmData = this.floatTo16BitPCM(resampled);
+    const pcmData = this.floatTo16BitPCM(samples);
 
     // Create WAV file
     const header = this.createWavHeader(pcmData.length, targetRate, 1, 16);
@@ -377,18 +681,24 @@ export class AudioMixer extends EventEmitter {
   }
 
   /**
-   * Save audio for a specific user to WAV file
+   * Save audio for a specific user to WAV file, plus its offset map (<name>.offsets.json)
+   * @param {string} userId
+   * @param {string} outputPath
+   * @param {{ preserveTimeline?: boolean }} [options] - preserveTimeline: keep silences between utterances
+   * @returns {Promise<{ path: string, offsetMapPath: string, segments: Array<{ startTime: number, endTime: number, fileStart: number, fileEnd: number }> } | null>}
+   *   segments: speaking segments of the user with their offsets (ms) inside the WAV
    */
-  async saveUserToWav(userId, outputPath) {
-    const decoded = await this.decodeUserPackets(userId);
+  async saveUserToWav(userId, outputPath, { preserveTimeline = false } = {}) {
+    // Resample to 16kHz for Whisper
+    const targetRate = 16000;
+    const decoded = preserveTimeline
+      ? await this.decodeUserTimeline(userId, targetRate)
+      : await this.decodeUserPackets(userId);
     if (!decoded) {
       return null;
     }
 
-    const { samples, sampleRate, packetCount } = decoded;
-
-    // Resample from 48kHz to 16kHz for Whisper
-    const targetRate = 16000;
+    const { samples, sampleRate, packetCount, segments, offsetMap } = decoded;
     const resampled = this.resample(samples, sampleRate, targetRate);
 
     // Convert to 16-bit PCM
@@ -399,9 +709,12 @@ export class AudioMixer extends EventEmitter {
     const wavData = Buffer.concat([header, pcmData]);
 
     await writeFile(outputPath, wavData);
-    console.log(`[AudioMixer] Saved user ${userId} WAV to ${outputPath} (${(wavData.length / 1024).toFixed(1)} KB, ${packetCount} packets)`);
+    console.log(`[AudioMixer] Saved user ${userId} WAV to ${outputPath} (${(wavData.length / 1024).toFixed(1)} KB, ${packetCount} packets, ${offsetMap.mode})`);
 
-    return outputPath;
+    const offsetMapPath = getOffsetMapPath(outputPath);
+    await writeFile(offsetMapPath, JSON.stringify(offsetMap, null, 2), 'utf-8');
+
+    return { path: outputPath, offsetMapPath, segments };
   }
 
   stop() {
@@ -0,0 +1,57 @@
+import { existsSync } from 'fs';
+import { readFile } from 'fs/promises';
+
+/**
+ * Offset map di un WAV per utente: dice a quale istante della sessione corrisponde ogni punto del file.
+ * Formato (tempi in ms):
+ * {
+ *   userId: string,
+ *   mode: 'timeline' | 'concatenated',
+ *   spans: [{ fileStart, fileEnd, sessionStart }]
+ * }
+ * In modalità "timeline" i silenzi sono preservati e c'è un solo span;
+ * in modalità "concatenated" ogni tratto di parlato continuo è uno span.
+ */
+
+/**
+ * Path of the offset map written next to a WAV (es. session_X_Paolo.wav -> session_X_Paolo.offsets.json)
+ * @param {string} wavPath
+ * @returns {string}
+ */
+export function getOffsetMapPath(wavPath) {
+  return wavPath.replace(/\.wav$/i, '') + '.offsets.json';
+}
+
+/**
+ * Read the offset map next to a WAV, if any
+ * @param {string} wavPath
+ * @returns {Promise<Object | null>}
+ */
+export async function readOffsetMap(wavPath) {
+  const mapPath = getOffsetMapPath(wavPath);
+  if (!existsSync(mapPath)) return null;
+  try {
+    return JSON.parse(await readFile(mapPath, 'utf-8'));
+  } catch (e) {
+    console.warn(`[OffsetMap] Invalid offset map ${mapPath}:`, e.message);
+    return null;
+  }
+}
+
+/**
+ * Convert a time inside the file to session time using the span that contains it
+ * (or the last span that started before it, for times falling in a gap).
+ * @param {Object | null} offsetMap
+ * @param {number} fileMs - time inside the WAV in ms
+ * @returns {number} session time in ms (fileMs unchanged if there is no map)
+ */
+export function fileTimeToSessionTime(offsetMap, fileMs) {
+  const spans = offsetMap?.spans;
+  if (!spans?.length) return fileMs;
+  let span = spans[0];
+  for (const candidate of spans) {
+    if (candidate.fileStart > fileMs) break;
+    span = candidate;
+  }
+  return span.sessionStart + (fileMs - span.fileStart);
+}
@@ -0,0 +1,62 @@
+import { createWriteStream, existsSync } from 'fs';
+import { readFile } from 'fs/promises';
+
+/**
+ * Log su disco dei pacchetti Opus di un utente, scritto man mano che arrivano.
+ * Formato binario, un record per pacchetto:
+ *   [uint32 LE timestamp ms dall'inizio registrazione][uint16 LE lunghezza][payload Opus]
+ * Un record troncato (crash a metà scrittura) viene ignorato in lettura.
+ */
+
+const RECORD_HEADER_BYTES = 6;
+
+export class PacketLogWriter {
+  constructor(path) {
+    this.path = path;
+    this.stream = createWriteStream(path, { flags: 'a' });
+    this.stream.on('error', error => {
+      console.error(`[PacketLog] Write error on ${path}:`, error.message);
+    });
+  }
+
+  /**
+   * Append one packet
+   * @param {Buffer} packet
+   * @param {number} timestamp - ms from the start of the recording
+   */
+  append(packet, timestamp) {
+    const header = Buffer.alloc(RECORD_HEADER_BYTES);
+    header.writeUInt32LE(Math.max(0, Math.round(timestamp)), 0);
+    header.writeUInt16LE(packet.length, 4);
+    this.stream.write(Buffer.concat([header, packet]));
+  }
+
+  /**
+   * Flush and close the file
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise(resolve => this.stream.end(resolve));
+  }
+}
+
+/**
+ * Read every complete packet of a log
+ * @param {string} path
+ * @returns {Promise<Array<{ packet: Buffer, timestamp: number }>>}
+ */
+export async function readPacketLog(path) {
+  if (!existsSync(path)) return [];
+  const data = await readFile(path);
+  const packets = [];
+  let offset = 0;
+  while (offset + RECORD_HEADER_BYTES <= data.length) {
+    const timestamp = data.readUInt32LE(offset);
+    const length = data.readUInt16LE(offset + 4);
+    const end = offset + RECORD_HEADER_BYTES + length;
+    if (end > data.length) break; // truncated record
+    packets.push({ packet: Buffer.from(data.subarray(offset + RECORD_HEADER_BYTES, end)), timestamp });
+    offset = end;
+  }
+  return packets;
+}
@@ -1,12 +1,24 @@
 import { EndBehaviorType } from '@discordjs/voice';
 import { existsSync, mkdirSync } from 'fs';
+import { open, readFile } from 'fs/promises';
 import { join } from 'path';
 import { AudioMixer } from './audioStream.js';
-import { transcribeAudio } from '../transcription/whisper.js';
+import { transcribeWithSpeakers } from '../transcription/whisper.js';
+import { updateSession, setArtifacts } from '../sessions/registry.js';
+import { isRecordingAllowed } from '../sessions/consent.js';
 import config from '../config.js';
 
 const CHECKPOINT_INTERVAL_MS = 30 * 60 * 1000; // 30 minuti
 
+/**
+ * Cartella dove i pacchetti Opus vengono scritti durante la registrazione (crash-safe).
+ * Viene rimossa quando /stop ha salvato il WAV; se esiste ancora all'avvio, la sessione è stata interrotta.
+ * @param {string} sessionName
+ */
+export function getSpoolDir(sessionName) {
+  return join(config.paths.recordings, `${sessionName}.spool`);
+}
+
 export class VoiceRecorder {
   constructor(connection, guildId, sessionName, client) {
     this.connection = connection;
@@ -20,6 +32,13 @@ export class VoiceRecorder {
     this.userNames = new Map(); // userId -> username
     this.checkpointCount = 0;
     this.checkpointTimer = null;
+    this.parts = []; // checkpoint già salvati: [{ name, audio, startTime, endTime, userAudioFiles, speakingSegments, transcription }]
+    this.isPaused = false;
+    this.pauses = []; // [{ start, end }] ms dall'inizio sessione (end null = pausa in corso)
+    this.ignoredUsers = new Set(); // utenti senza consenso (già segnalati nel log)
+    this.lastCheckpointAt = null;
+    this.bookmarks = []; // [{ time, userId, userName, note }] time = ms dall'inizio sessione
+    this.scenes = []; // [{ start, title, userId, userName }] start = ms dall'inizio sessione (/scene)
   }
 
   async start() {
@@ -32,9 +51,16 @@ export class VoiceRecorder {
       config.paths.recordings,
       `${this.sessionName}.wav`
     );
+    this.mixer = new AudioMixer({ spoolDir: getSpoolDir(this.sessionName) });
 
     this.isRecording = true;
     this.checkpointCount = 0;
+    this.parts = [];
+    this.isPaused = false;
+    this.pauses = [];
+    this.lastCheckpointAt = Date.now();
+    this.bookmarks = [];
+    this.scenes = [];
     this.checkpointTimer = setInterval(() => this.runCheckpoint(), CHECKPOINT_INTERVAL_MS);
 
     // Get the receiver from the voice connection
@@ -42,29 +68,50 @@ export class VoiceRecorder {
 
     // Listen for users speaking
     receiver.speaking.on('start', async userId => {
-      if (this.userStreams.has(userId)) return;
+      if (this.isPaused || this.userStreams.has(userId)) return;
+
+      // Players without consent are never subscribed to
+      if (!isRecordingAllowed(this.guildId, userId)) {
+        if (!this.ignoredUsers.has(userId)) {
+          this.ignoredUsers.add(userId);
+          console.log(`[Recorder] Ignoring ${userId}: no recording consent`);
+        }
+        return;
+      }
 
       // Try to get username
+      let fetchedName = null;
       if (!this.userNames.has(userId)) {
         try {
           const guild = this.client.guilds.cache.get(this.guildId);
           if (guild) {
             const member = await guild.members.fetch(userId);
-            const displayName = member.displayName || member.user.username;
-            this.userNames.set(userId, displayName);
-            console.log(`[Recorder] User ${displayName} (${userId}) started speaking`);
+            fetchedName = member.displayName || member.user.username;
+            console.log(`[Recorder] User ${fetchedName} (${userId}) started speaking`);
           } else {
-            this.userNames.set(userId, `User_${userId.slice(-4)}`);
+            fetchedName = `User_${userId.slice(-4)}`;
             console.log(`[Recorder] User ${userId} started speaking`);
           }
         } catch (e) {
-          this.userNames.set(userId, `User_${userId.slice(-4)}`);
+          fetchedName = `User_${userId.slice(-4)}`;
           console.log(`[Recorder] User ${userId} started speaking`);
         }
       } else {
         console.log(`[Recorder] User ${this.userNames.get(userId)} started speaking`);
       }
 
+      // Paused, opted out (or already subscribed) while the member was being fetched
+      if (this.isPaused || !this.isRecording || this.userStreams.has(userId)) return;
+      if (!isRecordingAllowed(this.guildId, userId)) return;
+
+      // Only players who passed the consent check become participants of the session
+      if (fetchedName && !this.userNames.has(userId)) {
+        this.userNames.set(userId, fetchedName);
+        updateSession(this.sessionName, {
+          participants: { [userId]: fetchedName }
+        });
+      }
+
       const audioStream = receiver.subscribe(userId, {
         end: {
           behavior: EndBehaviorType.AfterSilence,
@@ -99,7 +146,93 @@ export class VoiceRecorder {
     console.log(`[Recorder] Recording started, collecting Opus packets...`);
   }
 
-  async stop() {
+  /**
+   * Ricostruisce il recorder di una sessione interrotta dal suo spool su disco (senza connessione vocale).
+   * I nomi dei partecipanti vengono dal registro sessioni.
+   * @param {string} sessionName
+   * @param {string} guildId
+   * @param {Object<string, string>} [participants] - userId -> displayName
+   * @returns {Promise<VoiceRecorder>}
+   */
+  static async fromSpool(sessionName, guildId, participants = {}) {
+    const recorder = new VoiceRecorder(null, guildId, sessionName, null);
+    recorder.mixer = await AudioMixer.fromSpool(getSpoolDir(sessionName));
+    recorder.mixer.spoolDir = getSpoolDir(sessionName);
+    recorder.outputPath = join(config.paths.recordings, `${sessionName}.wav`);
+    for (const [userId, name] of Object.entries(participants)) {
+      recorder.userNames.set(userId, name);
+    }
+    return recorder;
+  }
+
+  /**
+   * Sospende la registrazione: chiude gli stream e i segmenti di parlato in corso e ignora
+   * chi parla fino a resume(). Connessione vocale e sessione restano attive; i timestamp
+   * continuano sull'orologio della sessione, quindi la pausa resta come buco (registrato in pauses).
+   * @returns {boolean} false se non stava registrando o era già in pausa
+   */
+  pause() {
+    if (!this.isRecording || this.isPaused) return false;
+    this.isPaused = true;
+    this.pauses.push({ start: Date.now() - this.mixer.startTime, end: null });
+
+    for (const userId of [...this.userStreams.keys()]) {
+      this.closeUserStream(userId);
+    }
+
+    console.log('[Recorder] Recording paused');
+    updateSession(this.sessionName, { pauses: this.pauses.map(pause => ({ ...pause })) });
+    return true;
+  }
+
+  /**
+   * Smette di registrare un utente (es. ha ritirato il consenso durante la sessione).
+   * L'audio già raccolto resta; i prossimi interventi vengono ignorati se non ha il consenso.
+   * @param {string} userId
+   */
+  closeUserStream(userId) {
+    const stream = this.userStreams.get(userId);
+    if (!stream) return;
+    this.mixer.markSpeakingEnd(userId);
+    this.mixer.removeStream(userId);
+    this.userStreams.delete(userId);
+    try {
+      stream.destroy();
+    } catch (e) {
+      // Ignore
+    }
+  }
+
+  /**
+   * Riprende la registrazione dopo pause()
+   * @returns {boolean} false se non era in pausa
+   */
+  resume() {
+    if (!this.isRecording || !this.isPaused) return false;
+    this.isPaused = false;
+    this.pauses[this.pauses.length - 1].end = Date.now() - this.mixer.startTime;
+
+    console.log('[Recorder] Recording resumed');
+    updateSession(this.sessionName, { pauses: this.pauses.map(pause => ({ ...pause })) });
+    return true;
+  }
+
+  /**
+   * Pause della sessione, in ms dall'inizio (end null = pausa ancora in corso)
+   * @returns {Array<{ start: number, end: number | null }>}
+   */
+  getPauses() {
+    return this.pauses;
+  }
+
+  /**
+   * Smette di ricevere audio (stream, checkpoint, mixer) senza salvare nulla: i pacchetti restano
+   * in memoria e nello spool per saveAllUserAudio() e stop(), che può arrivare più tardi (coda dei job).
+   */
+  stopCapture() {
+    if (this.isPaused) {
+      this.resume();
+    }
     this.isRecording = false;
     if (this.checkpointTimer) {
       clearInterval(this.checkpointTimer);
@@ -118,12 +251,21 @@ export class VoiceRecorder {
 
     // Stop mixer
     this.mixer.stop();
+  }
+
+  async stop() {
+    this.stopCapture();
 
     const packetCount = this.mixer.getPacketCount();
     console.log(`[Recorder] Recording stopped. Collected ${packetCount} audio packets.`);
 
+    if (this.parts.length > 0) {
+      return this.stopWithParts(packetCount);
+    }
+
     if (packetCount === 0) {
       console.log('[Recorder] No audio was recorded!');
+      await this.mixer.closeSpool({ remove: true });
       // Create empty WAV as fallback
       await this.createEmptyWav(this.outputPath);
       return this.outputPath;
@@ -133,15 +275,177 @@ export class VoiceRecorder {
     try {
       await this.mixer.saveToWav(this.outputPath);
       console.log(`[Recorder] Saved WAV: ${this.outputPath}`);
+      // The audio is safe on disk now: the packet spool is no longer needed
+      await this.mixer.closeSpool({ remove: true });
+      await setArtifacts(this.sessionName, { audio: this.outputPath });
       return this.outputPath;
     } catch (error) {
       console.error('[Recorder] Error saving audio:', error.message);
+      // Keep the spool so the session can still be recovered
+      await this.mixer.closeSpool();
       // Create empty WAV as fallback
       await this.createEmptyWav(this.outputPath);
       return this.outputPath;
     }
   }
 
+  /**
+   * Fine di una sessione con checkpoint: salva l'ultima parte e unisce i WAV misti
+   * di tutte le parti nel WAV della sessione.
+   */
+  async stopWithParts(packetCount) {
+    const partAudio = this.parts.map(part => part.audio);
+    if (packetCount > 0) {
+      const finalAudio = join(config.paths.recordings, `${this.getCurrentPartName()}.wav`);
+      try {
+        await this.mixer.saveToWav(finalAudio);
+        partAudio.push(finalAudio);
+      } catch (error) {
+        console.error('[Recorder] Error saving last part:', error.message);
+      }
+    }
+
+    const origins = [...this.parts.map(part => part.startTime), this.mixer.timelineOrigin];
+    const parts = partAudio
+      .map((path, i) => ({ path, startTime: origins[i] }))
+      .filter(part => part.path && existsSync(part.path));
+
+    try {
+      await this.concatPartWavs(parts, this.outputPath);
+      console.log(`[Recorder] Joined ${parts.length} parts into ${this.outputPath}`);
+      await this.mixer.closeSpool({ remove: true });
+      await setArtifacts(this.sessionName, { audio: this.outputPath });
+    } catch (error) {
+      console.error('[Recorder] Error joining parts:', error.message);
+      await this.mixer.closeSpool();
+      await this.createEmptyWav(this.outputPath);
+    }
+    return this.outputPath;
+  }
+
+  /**
+   * Unisce i WAV misti delle parti (16 kHz mono 16 bit, scritti da AudioMixer.saveToWav):
+   * ogni parte inizia al suo startTime, il buco fino alla parte successiva resta silenzio
+ * e la coda di una parte che sfora nella successiva viene sovrascritta.
+   * Scrive un file alla volta per non tenere in memoria l'intera sessione.
+   * @param {Array<{ path: string, startTime: number }>} parts - startTime in ms dall'inizio sessione
+   * @param {string} outputPath
+   */
+  async concatPartWavs(parts, outputPath) {
+    const sampleRate = 16000;
+    const bytesPerSample = 2;
+    const output = await open(outputPath, 'w');
+    try {
+      let written = 0; // bytes of PCM data
+      await output.write(Buffer.alloc(44), 0, 44, 0); // header written at the end
+
+      for (const { path, startTime } of parts) {
+        const wav = await readFile(path);
+        const pcm = wav.subarray(44);
+        const target = Math.round((startTime / 1000) * sampleRate) * bytesPerSample;
+        if (target > written) {
+          await output.write(Buffer.alloc(target - written), 0, target - written, 44 + written);
+          written = target;
+        }
+        // A part whose audio runs past the next startTime is overwritten there, so every part stays on the session clock
+        await output.write(pcm, 0, pcm.length, 44 + target);
+        written = Math.max(written, target + pcm.length);
+      }
+
+      const header = this.mixer.createWavHeader(written, sampleRate, 1, 16);
+      await output.write(header, 0, header.length, 0);
+    } finally {
+      await output.close();
+    }
+  }
+
+  /**
+   * Nome della parte in corso: il nome della sessione finché non c'è un checkpoint,
+   * poi {sessionName}_checkpoint_{n} (le parti si uniscono a /stop).
+   */
+  getCurrentPartName() {
+    return this.parts.length > 0
+      ? `${this.sessionName}_checkpoint_${this.checkpointCount + 1}`
+      : this.sessionName;
+  }
+
+  /**
+   * Checkpoint salvati durante la registrazione (l'ultima parte, ancora in memoria, esclusa)
+   */
+  getParts() {
+    return this.parts;
+  }
+
+  /**
+   * Segna un momento della sessione (/mark o bottone Bookmark del pannello), salvato nel registro.
+   * @param {{ userId: string, userName: string, note?: string | null }} bookmark
+   * @returns {{ time: number, userId: string, userName: string, note: string | null }}
+   */
+  addBookmark({ userId, userName, note = null }) {
+    const bookmark = { time: Date.now() - this.mixer.startTime, userId, userName, note };
+    this.bookmarks.push(bookmark);
+    updateSession(this.sessionName, { bookmarks: this.bookmarks.map(b => ({ ...b })) });
+    return bookmark;
+  }
+
+  /**
+   * Chiude la scena corrente e ne apre una nuova da adesso (/scene), salvata nel registro.
+   * Prima della prima /scene la sessione è in una scena iniziale senza titolo.
+   * @param {{ title: string, userId: string, userName: string }} scene
+   * @returns {{ start: number, title: string, userId: string, userName: string }}
+   */
+  addScene({ title, userId, userName }) {
+    const scene = { start: Date.now() - this.mixer.startTime, title, userId, userName };
+    this.scenes.push(scene);
+    updateSession(this.sessionName, { scenes: this.scenes.map(s => ({ ...s })) });
+    return scene;
+  }
+
+  /**
+   * Scene aperte con /scene, in ordine di inizio
+   */
+  getScenes() {
+    return this.scenes;
+  }
+
+  /**
+   * Statistiche live per il pannello di stato
+   * @returns {{ elapsedMs: number, isPaused: boolean, speakingNow: string[], speakingTime: Array<{ userName: string, ms: number }>,
+   *   packetCount: number, bufferedBytes: number, rssBytes: number, checkpointCount: number, nextCheckpointMs: number | null,
+   *   parts: Array<{ name: string, status: string }>, bookmarkCount: number, sceneTitle: string | null, sceneCount: number }}
+   */
+  getStats() {
+    const now = Date.now() - this.mixer.startTime;
+
+    // Speaking time per user over all parts (open segments count up to now)
+    const totals = new Map();
+    const segments = [...this.parts.flatMap(part => part.speakingSegments), ...this.mixer.speakingSegments];
+    for (const { userId, startTime, endTime } of segments) {
+      const ms = Math.max(0, (endTime ?? now) - startTime);
+      totals.set(userId, (totals.get(userId) ?? 0) + ms);
+    }
+
+    return {
+      elapsedMs: now,
+      isPaused: this.isPaused,
+      speakingNow: [...this.userStreams.keys()].map(userId => this.getUserName(userId)),
+      speakingTime: [...totals.entries()]
+        .map(([userId, ms]) => ({ userName: this.getUserName(userId), ms }))
+        .sort((a, b) => b.ms - a.ms),
+      packetCount: this.mixer.getPacketCount(),
+      bufferedBytes: this.mixer.getBufferedBytes(),
+      rssBytes: process.memoryUsage().rss,
+      checkpointCount: this.checkpointCount,
+      nextCheckpointMs: this.lastCheckpointAt
+        ? Math.max(0, this.lastCheckpointAt + CHECKPOINT_INTERVAL_MS - Date.now())
+        : null,
+      parts: this.parts.map(({ name, status }) => ({ name, status })),
+      bookmarkCount: this.bookmarks.length,
+      sceneTitle: this.scenes.at(-1)?.title ?? null,
+      sceneCount: this.scenes.length,
+    };
+  }
+
   /**
    * Get list of user IDs that spoke during the recording
    */
@@ -165,14 +469,20 @@ export class VoiceRecorder {
 
   /**
    * Save audio for a specific user
+   * @param {{ preserveTimeline?: boolean, baseName?: string, mixer?: AudioMixer }} [options]
+   *   preserveTimeline: default from config.recording.preserveUserTimeline;
+   *   baseName/mixer: file prefix and packets of a part (default: the part being recorded)
+   * @returns {Promise<{ path: string, offsetMapPath: string, segments: Array } | null>} segments = speaking segments with offsets inside the WAV
    */
-  async saveUserAudio(userId, outputDir) {
+  async saveUserAudio(userId, outputDir, options = {}) {
     const userName = this.getUserName(userId).replace(/[^a-zA-Z0-9]/g, '_');
-    const outputPath = join(outputDir, `${this.sessionName}_${userName}.wav`);
+    const baseName = options.baseName ?? this.getCurrentPartName();
+    const outputPath = join(outputDir, `${baseName}_${userName}.wav`);
+    const preserveTimeline = options.preserveTimeline ?? config.recording.preserveUserTimeline;
+    const mixer = options.mixer ?? this.mixer;
 
     try {
-      const result = await this.mixer.saveUserToWav(userId, outputPath);
-      return result ? outputPath : null;
+      return await mixer.saveUserToWav(userId, outputPath, { preserveTimeline });
     } catch (error) {
       console.error(`[Recorder] Error saving audio for ${userId}:`, error.message);
       return null;
@@ -181,26 +491,37 @@ export class VoiceRecorder {
 
   /**
    * Save audio for all users separately
+   * @param {{ preserveTimeline?: boolean, baseName?: string, mixer?: AudioMixer }} [options] - see saveUserAudio
+   * @returns {Promise<Object>} userId -> {path, userName, segments, offsetMapPath}
    */
-  async saveAllUserAudio(outputDir) {
-    const userIds = this.getUserIds();
+  async saveAllUserAudio(outputDir, options = {}) {
+    const userIds = (options.mixer ?? this.mixer).getUserIds();
     const results = {};
 
     for (const userId of userIds) {
-      const path = await this.saveUserAudio(userId, outputDir);
-      if (path) {
+      const saved = await this.saveUserAudio(userId, outputDir, options);
+      if (saved) {
         results[userId] = {
-          path,
-          userName: this.getUserName(userId)
+          path: saved.path,
+          userName: this.getUserName(userId),
+          segments: saved.segments,
+          offsetMapPath: saved.offsetMapPath
         };
       }
     }
 
+    // With checkpoints the per-user files belong to a part (recorded in the parts artifact)
+    if (this.parts.length === 0 && !options.baseName) {
+      const userAudio = Object.fromEntries(Object.entries(results).map(([userId, { path }]) => [userId, path]));
+      await setArtifacts(this.sessionName, { userAudio });
+    }
+
     return results;
   }
 
   /**
-   * Salva checkpoint (audio finora), azzera i pacchetti, poi trascrive in background.
+   * Checkpoint: stacca l'audio finora in una parte della sessione (WAV misto + WAV per utente),
+   * poi la trascrive per speaker in background. A /stop le parti vengono unite.
    * Chiamato ogni 30 minuti durante la registrazione.
    */
   async runCheckpoint() {
@@ -210,26 +531,73 @@ export class VoiceRecorder {
     const checkpointName = `${this.sessionName}_checkpoint_${partNum}`;
     const checkpointPath = join(config.paths.recordings, `${checkpointName}.wav`);
 
+    // Detach synchronously: packets arriving while the part is saved go to the next part
+    const partMixer = this.mixer.splitPart();
+    const part = {
+      name: checkpointName,
+      audio: checkpointPath,
+      startTime: partMixer.timelineOrigin,
+      endTime: this.mixer.timelineOrigin,
+      userAudioFiles: {},
+      speakingSegments: this.withUserNames(partMixer.getSpeakingSegments()),
+      status: 'saving', // saving -> transcribing -> done | failed
+      transcription: Promise.resolve(null),
+    };
+    this.parts.push(part);
+    this.lastCheckpointAt = Date.now();
+
     try {
       console.log(`[Recorder] Checkpoint ${partNum} (30 min): saving WAV...`);
-      await this.mixer.saveToWav(checkpointPath);
-      this.mixer.clearUserPackets();
-      this.mixer.clearSpeakingSegments();
-      console.log(`[Recorder] Checkpoint ${partNum} saved. Starting background transcription...`);
-      transcribeAudio(checkpointPath, checkpointName).catch(err => {
-        console.error(`[Recorder] Checkpoint ${partNum} transcription failed:`, err.message);
+      await partMixer.saveToWav(checkpointPath);
+      part.userAudioFiles = await this.saveAllUserAudio(config.paths.recordings, {
+        baseName: checkpointName,
+        mixer: partMixer,
       });
+      await this.recordParts();
+
+      console.log(`[Recorder] Checkpoint ${partNum} saved. Starting background transcription...`);
+      part.status = 'transcribing';
+      part.transcription = transcribeWithSpeakers(part.userAudioFiles, checkpointName, part.speakingSegments)
+        .then(transcriptPath => {
+          part.status = transcriptPath ? 'done' : 'failed';
+          return transcriptPath;
+        })
+        .catch(err => {
+          console.error(`[Recorder] Checkpoint ${partNum} transcription failed:`, err.message);
+          part.status = 'failed';
+          return null;
+        });
     } catch (err) {
       console.error(`[Recorder] Checkpoint ${partNum} save failed:`, err.message);
+      part.status = 'failed';
     }
   }
 
+  /**
+   * Registra le parti nel registro sessioni (artifacts.parts)
+   */
+  recordParts() {
+    const parts = this.parts.map(({ name, audio, startTime, endTime, userAudioFiles }) => ({
+      name,
+      audio,
+      startTime,
+      endTime,
+      userAudio: Object.fromEntries(Object.entries(userAudioFiles).map(([userId, { path }]) => [userId, path])),
+    }));
+    return setArtifacts(this.sessionName, { parts });
+  }
+
   /**
    * Get speaking segments in chronological order
    */
   getSpeakingSegments() {
-    const segments = this.mixer.getSpeakingSegments();
-    // Add user names to segments
+    return this.withUserNames(this.mixer.getSpeakingSegments());
+  }
+
+  /**
+   * Add user names to segments
+   */
+  withUserNames(segments) {
     return segments.map(seg => ({
       ...seg,
       userName: this.getUserName(seg.userId)